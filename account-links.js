@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'account-links' });
+
+// No 0/O or 1/I so codes are easy to type in-game
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// ============================================================================
+// ACCOUNT LINKS CLASS
+// ============================================================================
+
+class AccountLinks {
+    constructor() {
+        this.links = {};
+        this.pendingCodes = new Map();
+
+        this.instanceId = config.discord.instanceId;
+        this.linksFile = path.join('./cache', `account-links-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.linksFile)) {
+                const data = fs.readFileSync(this.linksFile, 'utf8');
+                const parsed = JSON.parse(data);
+                this.links = parsed.links || {};
+                // Codes survive a restart until they expire
+                this.pendingCodes = new Map(Object.entries(parsed.pendingCodes || {}));
+                this.pruneExpiredCodes();
+                logger.info(`Loaded ${Object.keys(this.links).length} linked accounts from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load account links:', error.message);
+            this.links = {};
+            this.pendingCodes = new Map();
+        }
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            this.pruneExpiredCodes();
+            const data = {
+                links: this.links,
+                pendingCodes: Object.fromEntries(this.pendingCodes),
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.linksFile, JSON.stringify(data, null, 2), 'utf8');
+            logger.debug('Saved account links to file');
+        } catch (error) {
+            logger.error('Failed to save account links:', error.message);
+        }
+    }
+
+    pruneExpiredCodes() {
+        const now = Date.now();
+        for (const [code, pending] of this.pendingCodes.entries()) {
+            if (!(pending.expiresAt > now)) {
+                this.pendingCodes.delete(code);
+            }
+        }
+    }
+
+    // ========================================================================
+    // IDENTITY LOOKUP
+    // ========================================================================
+
+    getMinecraftName(discordId) {
+        return this.links[discordId]?.minecraftName || null;
+    }
+
+    getDiscordId(minecraftName) {
+        if (!minecraftName) return null;
+        const lowerName = minecraftName.toLowerCase();
+        const link = Object.values(this.links).find(l => l.minecraftName.toLowerCase() === lowerName);
+        return link ? link.discordId : null;
+    }
+
+    // ========================================================================
+    // LINKING
+    // ========================================================================
+
+    createCode(discordId, minecraftName) {
+        if (!/^\w{3,16}$/.test(minecraftName)) {
+            throw new Error('That is not a valid Minecraft username');
+        }
+
+        const existingOwner = this.getDiscordId(minecraftName);
+        if (existingOwner && existingOwner !== discordId) {
+            throw new Error(`${minecraftName} is already linked to another Discord account`);
+        }
+
+        // Only one code per user - asking again replaces the old one
+        for (const [code, pending] of this.pendingCodes.entries()) {
+            if (pending.discordId === discordId) {
+                this.pendingCodes.delete(code);
+            }
+        }
+
+        let code;
+        do {
+            code = Array.from({ length: 6 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.pendingCodes.has(code));
+
+        this.pendingCodes.set(code, {
+            discordId,
+            minecraftName,
+            expiresAt: Date.now() + config.discord.linking.codeExpiry
+        });
+
+        this.save();
+
+        logger.info(`Generated link code for Discord user ${discordId} → ${minecraftName}`);
+        return code;
+    }
+
+    verify(minecraftName, message) {
+        const code = message.trim().toUpperCase();
+        const pending = this.pendingCodes.get(code);
+        if (!pending) return null;
+
+        if (pending.expiresAt < Date.now()) {
+            this.pendingCodes.delete(code);
+            this.save();
+            return null;
+        }
+
+        if (pending.minecraftName.toLowerCase() !== minecraftName.toLowerCase()) {
+            logger.warn(`${minecraftName} whispered a link code issued for ${pending.minecraftName}`);
+            return null;
+        }
+
+        // Someone else may have linked this account after the code was issued
+        const existingOwner = this.getDiscordId(minecraftName);
+        if (existingOwner && existingOwner !== pending.discordId) {
+            logger.warn(`${minecraftName} used a link code for Discord user ${pending.discordId} but is already linked to ${existingOwner}`);
+            this.pendingCodes.delete(code);
+            this.save();
+            return null;
+        }
+
+        this.pendingCodes.delete(code);
+        this.links[pending.discordId] = {
+            discordId: pending.discordId,
+            minecraftName,
+            linkedAt: new Date().toISOString()
+        };
+        this.save();
+
+        logger.info(`Linked Discord user ${pending.discordId} to Minecraft account ${minecraftName}`);
+        return this.links[pending.discordId];
+    }
+
+    unlink(discordId) {
+        if (!this.links[discordId]) return false;
+
+        const { minecraftName } = this.links[discordId];
+        delete this.links[discordId];
+        this.save();
+
+        logger.info(`Unlinked Discord user ${discordId} from ${minecraftName}`);
+        return true;
+    }
+}
+
+module.exports = AccountLinks;
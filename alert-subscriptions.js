@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const safeRegex = require('./safe-regex');
+const logger = require('./logger').child({ module: 'alert-subscriptions' });
+
+// The keyword DM that used to be hardcoded in the chat handler, carried over as
+// ordinary subscriptions once, including for files written before the migration existed
+const LEGACY_SUBSCRIPTIONS = [
+    { userId: '915483308522086460', pattern: 'lootedbycgy' },
+    { userId: '915483308522086460', pattern: 'doggo' }
+];
+
+// ============================================================================
+// ALERT SUBSCRIPTIONS CLASS
+// ============================================================================
+
+class AlertSubscriptions {
+    constructor() {
+        this.subscriptions = {};
+        this.recentLines = [];
+        this.lineSequence = 0;
+        this.lastAlerts = new Map();
+        this.compiledPatterns = new Map();
+        this.legacyMigrated = false;
+
+        this.instanceId = config.discord.instanceId;
+        this.subscriptionsFile = path.join('./cache', `alert-subscriptions-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.subscriptionsFile)) {
+                const data = JSON.parse(fs.readFileSync(this.subscriptionsFile, 'utf8'));
+                this.subscriptions = data.subscriptions || {};
+                this.legacyMigrated = data.legacyMigrated === true;
+                const total = Object.values(this.subscriptions).reduce((sum, subs) => sum + subs.length, 0);
+                logger.info(`Loaded ${total} alert subscriptions from file`);
+            }
+
+            if (!this.legacyMigrated) {
+                this.migrateLegacySubscriptions();
+            }
+        } catch (error) {
+            logger.error('Failed to load alert subscriptions:', error.message);
+            this.subscriptions = {};
+        }
+    }
+
+    migrateLegacySubscriptions() {
+        for (const { userId, pattern } of LEGACY_SUBSCRIPTIONS) {
+            const userSubscriptions = this.subscriptions[userId] || [];
+            if (userSubscriptions.some(sub => !sub.isRegex && sub.pattern.toLowerCase() === pattern)) continue;
+
+            userSubscriptions.push({
+                id: userSubscriptions.reduce((max, sub) => Math.max(max, sub.id), 0) + 1,
+                pattern,
+                isRegex: false,
+                sender: null,
+                type: 'any',
+                createdAt: new Date().toISOString()
+            });
+            this.subscriptions[userId] = userSubscriptions;
+        }
+        this.legacyMigrated = true;
+        this.save();
+        logger.info('Migrated the hardcoded keyword alerts to subscriptions');
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                subscriptions: this.subscriptions,
+                legacyMigrated: this.legacyMigrated,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.subscriptionsFile, JSON.stringify(data, null, 2), 'utf8');
+            logger.debug('Saved alert subscriptions to file');
+        } catch (error) {
+            logger.error('Failed to save alert subscriptions:', error.message);
+        }
+    }
+
+    // ========================================================================
+    // SUBSCRIPTION MANAGEMENT
+    // ========================================================================
+
+    add(userId, { pattern, isRegex = false, sender = null, type = 'any' }) {
+        if (!pattern || pattern.length > 200) {
+            throw new Error('Pattern must be between 1 and 200 characters');
+        }
+
+        if (isRegex) {
+            // Throws for invalid patterns and ones that could backtrack catastrophically
+            safeRegex.compile(pattern, 'i');
+        }
+
+        const userSubscriptions = this.subscriptions[userId] || [];
+        if (userSubscriptions.length >= config.discord.alerts.maxPerUser) {
+            throw new Error(`You can have at most ${config.discord.alerts.maxPerUser} alert subscriptions`);
+        }
+
+        const subscription = {
+            id: userSubscriptions.reduce((max, sub) => Math.max(max, sub.id), 0) + 1,
+            pattern,
+            isRegex,
+            sender: sender ? sender.toLowerCase() : null,
+            type,
+            createdAt: new Date().toISOString()
+        };
+
+        userSubscriptions.push(subscription);
+        this.subscriptions[userId] = userSubscriptions;
+        this.save();
+
+        logger.info(`User ${userId} subscribed to alert #${subscription.id}: ${pattern}`);
+        return subscription;
+    }
+
+    remove(userId, id) {
+        const userSubscriptions = this.subscriptions[userId] || [];
+        const index = userSubscriptions.findIndex(sub => sub.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        userSubscriptions.splice(index, 1);
+        if (userSubscriptions.length === 0) {
+            delete this.subscriptions[userId];
+        }
+        this.save();
+
+        logger.info(`User ${userId} removed alert #${id}`);
+        return true;
+    }
+
+    list(userId) {
+        return this.subscriptions[userId] || [];
+    }
+
+    // ========================================================================
+    // MATCHING
+    // ========================================================================
+
+    recordLine(sender, message, isServerMessage) {
+        const line = {
+            seq: ++this.lineSequence,
+            sender,
+            message,
+            isServerMessage,
+            timestamp: Date.now()
+        };
+
+        this.recentLines.push(line);
+        const maxLines = config.discord.alerts.contextLines * 2 + 20;
+        if (this.recentLines.length > maxLines) {
+            this.recentLines.splice(0, this.recentLines.length - maxLines);
+        }
+
+        return line;
+    }
+
+    findMatches(line) {
+        const matches = [];
+        const lowerMessage = line.message.toLowerCase();
+        const lowerSender = line.sender ? line.sender.toLowerCase() : null;
+
+        for (const [userId, userSubscriptions] of Object.entries(this.subscriptions)) {
+            for (const subscription of userSubscriptions) {
+                if (subscription.type === 'player' && line.isServerMessage) continue;
+                if (subscription.type === 'server' && !line.isServerMessage) continue;
+                if (subscription.sender && subscription.sender !== lowerSender) continue;
+
+                if (!this.matchesPattern(subscription, line.message, lowerMessage)) continue;
+
+                if (this.isThrottled(userId, subscription, lowerMessage)) {
+                    logger.debug(`Throttled duplicate alert #${subscription.id} for user ${userId}`);
+                    continue;
+                }
+
+                matches.push({ userId, subscription });
+            }
+        }
+
+        return matches;
+    }
+
+    matchesPattern(subscription, message, lowerMessage) {
+        if (!subscription.isRegex) {
+            return lowerMessage.includes(subscription.pattern.toLowerCase());
+        }
+
+        let regex = this.compiledPatterns.get(subscription.pattern);
+        if (!regex) {
+            // Subscriptions saved before patterns were checked may still be unsafe
+            try {
+                regex = safeRegex.compile(subscription.pattern, 'i');
+            } catch (error) {
+                return false;
+            }
+            this.compiledPatterns.set(subscription.pattern, regex);
+        }
+        return regex.test(message);
+    }
+
+    isThrottled(userId, subscription, lowerMessage) {
+        const now = Date.now();
+        const key = `${userId}:${subscription.id}:${lowerMessage}`;
+        const lastSent = this.lastAlerts.get(key);
+
+        if (lastSent && now - lastSent < config.discord.alerts.throttleMs) {
+            return true;
+        }
+
+        this.lastAlerts.set(key, now);
+
+        // Drop stale throttle entries so the map doesn't grow forever
+        if (this.lastAlerts.size > 1000) {
+            for (const [entryKey, timestamp] of this.lastAlerts.entries()) {
+                if (now - timestamp >= config.discord.alerts.throttleMs) {
+                    this.lastAlerts.delete(entryKey);
+                }
+            }
+        }
+        return false;
+    }
+
+    getContext(line) {
+        const contextLines = config.discord.alerts.contextLines;
+        const before = this.recentLines.filter(l => l.seq < line.seq).slice(-contextLines);
+        const after = this.recentLines.filter(l => l.seq > line.seq).slice(0, contextLines);
+        return { before, after };
+    }
+}
+
+module.exports = AlertSubscriptions;
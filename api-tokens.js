@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'api-tokens' });
+
+const SCOPES = {
+    'status:read': 'Bot status, players, stats, population and Prometheus metrics',
+    'chat:read': 'Chat history and exports',
+    'chat:send': 'Send chat messages in-game',
+    'bot:control': 'Connect, disconnect and move the bot',
+    'audit:read': 'Read the audit log'
+};
+
+const TOKEN_PREFIX = 'atm_';
+
+// lastUsedAt is only written to disk this often, not on every request
+const LAST_USED_SAVE_INTERVAL = 60 * 1000;
+
+// ============================================================================
+// API TOKENS CLASS
+// ============================================================================
+
+// Bearer tokens for the REST API. Only a SHA-256 hash of each token is stored;
+// the token itself is shown once when it's created.
+class ApiTokens {
+    constructor() {
+        this.tokens = [];
+        this.lastUsedSavedAt = 0;
+
+        this.instanceId = config.discord.instanceId;
+        this.tokensFile = path.join('./cache', `api-tokens-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.tokensFile)) {
+                const data = fs.readFileSync(this.tokensFile, 'utf8');
+                this.tokens = JSON.parse(data).tokens || [];
+                logger.info(`Loaded ${this.tokens.length} API tokens from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load API tokens:', error.message);
+            this.tokens = [];
+        }
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                tokens: this.tokens,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.tokensFile, JSON.stringify(data, null, 2), 'utf8');
+            logger.debug('Saved API tokens to file');
+        } catch (error) {
+            logger.error('Failed to save API tokens:', error.message);
+        }
+    }
+
+    // ========================================================================
+    // MANAGEMENT
+    // ========================================================================
+
+    isValidScope(scope) {
+        return Object.prototype.hasOwnProperty.call(SCOPES, scope);
+    }
+
+    getScopes() {
+        return Object.entries(SCOPES).map(([name, description]) => ({ name, description }));
+    }
+
+    // Returns the plain token once - it can't be recovered later
+    create(name, scopes, createdBy) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName || trimmedName.length > 50) {
+            throw new Error('Token name must be 1-50 characters');
+        }
+
+        const uniqueScopes = Array.from(new Set(scopes));
+        if (uniqueScopes.length === 0) {
+            throw new Error('At least one scope is required');
+        }
+        const unknown = uniqueScopes.filter(scope => !this.isValidScope(scope));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scope${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Valid scopes: ${Object.keys(SCOPES).join(', ')}`);
+        }
+
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const token = TOKEN_PREFIX + secret;
+        const record = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: trimmedName,
+            hint: `${TOKEN_PREFIX}${secret.substring(0, 4)}…`,
+            hash: this.hash(token),
+            scopes: uniqueScopes,
+            createdBy: {
+                type: createdBy?.type || 'unknown',
+                id: createdBy?.id ? String(createdBy.id) : null,
+                name: createdBy?.name || 'unknown'
+            },
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        this.tokens.push(record);
+        this.save();
+        logger.info(`Created API token "${record.name}" (${record.id}) with scopes ${record.scopes.join(', ')}`);
+
+        return { token, record: this.describe(record) };
+    }
+
+    revoke(id) {
+        const index = this.tokens.findIndex(record => record.id === id);
+        if (index === -1) return null;
+
+        const [record] = this.tokens.splice(index, 1);
+        this.save();
+        logger.info(`Revoked API token "${record.name}" (${record.id})`);
+        return this.describe(record);
+    }
+
+    list() {
+        return this.tokens.map(record => this.describe(record));
+    }
+
+    // ========================================================================
+    // VERIFICATION
+    // ========================================================================
+
+    verify(token) {
+        if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const hash = Buffer.from(this.hash(token), 'hex');
+        const record = this.tokens.find(candidate =>
+            crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+        );
+        if (!record) return null;
+
+        record.lastUsedAt = new Date().toISOString();
+        if (Date.now() - this.lastUsedSavedAt > LAST_USED_SAVE_INTERVAL) {
+            this.lastUsedSavedAt = Date.now();
+            this.save();
+        }
+        return this.describe(record);
+    }
+
+    hasScope(record, scope) {
+        return record.scopes.includes(scope);
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Everything except the hash
+    describe(record) {
+        const { hash, ...rest } = record;
+        return { ...rest, scopes: rest.scopes.slice() };
+    }
+}
+
+module.exports = ApiTokens;
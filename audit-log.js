@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'audit-log' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESULTS = ['success', 'denied', 'failed'];
+
+// ============================================================================
+// AUDIT LOG CLASS
+// ============================================================================
+
+// Append-only record of who made the bot do what. Entries look like
+// { id, time, actor: { type, id, name }, source, action, args, result, detail }
+class AuditLog {
+    constructor() {
+        this.entries = [];
+        this.lastId = 0;
+        // Expired entries are dropped on the first record of each day, like chat history
+        this.prunedDay = null;
+
+        this.instanceId = config.discord.instanceId;
+        this.auditFile = path.join('./cache', `audit-${this.instanceId}.jsonl`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.auditFile)) {
+                const lines = fs.readFileSync(this.auditFile, 'utf8').split('\n').filter(Boolean);
+                for (const line of lines) {
+                    try {
+                        this.entries.push(JSON.parse(line));
+                    } catch (parseError) {
+                        logger.warn('Skipping unreadable audit log line');
+                    }
+                }
+                this.lastId = this.entries.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+                this.prune();
+                logger.info(`Loaded ${this.entries.length} audit log entries from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load audit log:', error);
+            this.entries = [];
+        }
+    }
+
+    // Only rewrites the file when something actually expired
+    prune() {
+        this.prunedDay = new Date().toISOString().substring(0, 10);
+        const cutoff = new Date(Date.now() - config.audit.retentionDays * DAY_MS).toISOString();
+        const kept = this.entries.filter(entry => entry.time >= cutoff);
+        if (kept.length === this.entries.length) return;
+
+        this.entries = kept;
+        try {
+            fs.writeFileSync(this.auditFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+            logger.info(`Removed audit log entries older than ${config.audit.retentionDays} days`);
+        } catch (error) {
+            logger.error('Failed to prune audit log:', error);
+        }
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    record({ actor, source, action, args = {}, result = 'success', detail = null }) {
+        const entry = {
+            id: ++this.lastId,
+            time: new Date().toISOString(),
+            actor: {
+                type: actor?.type || 'unknown',
+                id: actor?.id ? String(actor.id) : null,
+                name: actor?.name || 'unknown'
+            },
+            source,
+            action,
+            args,
+            result: RESULTS.includes(result) ? result : 'success',
+            detail: detail ? String(detail).substring(0, 500) : null
+        };
+
+        if (entry.time.substring(0, 10) !== this.prunedDay) {
+            this.prune();
+        }
+
+        this.entries.push(entry);
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+            fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            logger.error('Failed to write audit log entry:', error);
+        }
+
+        logger.debug(`Audit: ${entry.actor.name} (${source}) ${action} → ${entry.result}`);
+        return entry;
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    getResults() {
+        return RESULTS.slice();
+    }
+
+    // Newest first; pass nextCursor back as `before` for the next page
+    query({ before = null, limit = 25, actor = null, source = null, action = null, result = null } = {}) {
+        const actorFilter = actor ? String(actor).toLowerCase() : null;
+        const matches = (entry) =>
+            (before === null || entry.id < before) &&
+            (!actorFilter || entry.actor.name.toLowerCase().includes(actorFilter) || entry.actor.id === actor) &&
+            (!source || entry.source === source) &&
+            (!action || entry.action === action) &&
+            (!result || entry.result === result);
+
+        const entries = [];
+        let hasMore = false;
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (!matches(this.entries[i])) continue;
+            if (entries.length === limit) {
+                hasMore = true;
+                break;
+            }
+            entries.push(this.entries[i]);
+        }
+
+        return {
+            entries,
+            nextCursor: hasMore ? entries[entries.length - 1].id : null
+        };
+    }
+
+    getActions() {
+        return Array.from(new Set(this.entries.map(entry => entry.action))).sort();
+    }
+}
+
+module.exports = AuditLog;
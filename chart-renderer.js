@@ -0,0 +1,257 @@
+const zlib = require('zlib');
+
+// 3x5 pixel glyphs for axis labels, one string per row
+const GLYPHS = {
+    '0': ['111', '101', '101', '101', '111'],
+    '1': ['010', '110', '010', '010', '111'],
+    '2': ['111', '001', '111', '100', '111'],
+    '3': ['111', '001', '111', '001', '111'],
+    '4': ['101', '101', '111', '001', '001'],
+    '5': ['111', '100', '111', '001', '111'],
+    '6': ['111', '100', '111', '101', '111'],
+    '7': ['111', '001', '001', '001', '001'],
+    '8': ['111', '101', '111', '101', '111'],
+    '9': ['111', '101', '111', '001', '111'],
+    ':': ['000', '010', '000', '010', '000'],
+    '/': ['001', '001', '010', '100', '100'],
+    '-': ['000', '000', '111', '000', '000'],
+    '.': ['000', '000', '000', '000', '010'],
+    ' ': ['000', '000', '000', '000', '000']
+};
+
+// Discord dark theme colours so the image sits naturally in an embed
+const COLORS = {
+    background: [0x2B, 0x2D, 0x31],
+    grid: [0x3F, 0x41, 0x47],
+    axis: [0x80, 0x84, 0x8E],
+    label: [0xB5, 0xBA, 0xC1],
+    line: [0x58, 0x65, 0xF2],
+    range: [0x94, 0x9C, 0xF7],
+    daily: [0xF1, 0xC4, 0x0F],
+    peak: [0xED, 0x42, 0x45]
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// ============================================================================
+// CANVAS (module-private)
+// ============================================================================
+
+class Canvas {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, [r, g, b], alpha = 1) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const i = (y * this.width + x) * 3;
+        if (alpha >= 1) {
+            this.pixels[i] = r;
+            this.pixels[i + 1] = g;
+            this.pixels[i + 2] = b;
+        } else {
+            this.pixels[i] = Math.round(this.pixels[i] * (1 - alpha) + r * alpha);
+            this.pixels[i + 1] = Math.round(this.pixels[i + 1] * (1 - alpha) + g * alpha);
+            this.pixels[i + 2] = Math.round(this.pixels[i + 2] * (1 - alpha) + b * alpha);
+        }
+    }
+
+    fillRect(x, y, width, height, color, alpha = 1) {
+        for (let py = Math.round(y); py < Math.round(y + height); py++) {
+            for (let px = Math.round(x); px < Math.round(x + width); px++) {
+                this.setPixel(px, py, color, alpha);
+            }
+        }
+    }
+
+    line(x0, y0, x1, y1, color, thickness = 1, dash = 0) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        const offset = Math.floor(thickness / 2);
+
+        for (let i = 0; i <= steps; i++) {
+            if (dash > 0 && Math.floor(i / dash) % 2 === 1) continue;
+            const x = x0 + (x1 - x0) * i / steps;
+            const y = y0 + (y1 - y0) * i / steps;
+            this.fillRect(x - offset, y - offset, thickness, thickness, color);
+        }
+    }
+
+    text(x, y, text, color, scale = 2) {
+        let cursor = x;
+        for (const char of String(text)) {
+            const glyph = GLYPHS[char] || GLYPHS[' '];
+            glyph.forEach((row, gy) => {
+                [...row].forEach((bit, gx) => {
+                    if (bit === '1') {
+                        this.fillRect(cursor + gx * scale, y + gy * scale, scale, scale, color);
+                    }
+                });
+            });
+            cursor += 4 * scale;
+        }
+    }
+
+    textWidth(text, scale = 2) {
+        return String(text).length * 4 * scale - scale;
+    }
+
+    toPNG() {
+        // Each scanline starts with filter type 0 (none)
+        const raw = Buffer.alloc((this.width * 3 + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            const rowStart = y * (this.width * 3 + 1);
+            raw[rowStart] = 0;
+            this.pixels.copy(raw, rowStart + 1, y * this.width * 3, (y + 1) * this.width * 3);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // colour type: RGB
+        header[10] = 0;
+        header[11] = 0;
+        header[12] = 0;
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            this.chunk('IHDR', header),
+            this.chunk('IDAT', zlib.deflateSync(raw)),
+            this.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    chunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(this.crc32(body), 0);
+        return Buffer.concat([length, body, crc]);
+    }
+
+    crc32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of buffer) {
+            crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// ============================================================================
+// CHART RENDERER CLASS
+// ============================================================================
+
+class ChartRenderer {
+    // Average line with a min-max band, dashed daily averages and the peak marked.
+    // series comes from PopulationHistory.getSeries, summary from getSummary.
+    renderPopulationChart(series, summary, { width = 800, height = 320 } = {}) {
+        const canvas = new Canvas(width, height, COLORS.background);
+        const margin = { left: 44, right: 16, top: 16, bottom: 34 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const peak = Math.max(summary.peak?.count || 0, ...series.points.map(point => point.max), 1);
+        const step = Math.max(1, Math.ceil(peak / 5));
+        const yMax = step * Math.ceil(peak / step);
+
+        const xFor = (time) => margin.left + (time - series.start) / (series.end - series.start) * plotWidth;
+        const yFor = (count) => margin.top + plotHeight - (count / yMax) * plotHeight;
+
+        // Grid and Y axis labels
+        for (let value = 0; value <= yMax; value += step) {
+            const y = Math.round(yFor(value));
+            canvas.line(margin.left, y, margin.left + plotWidth, y, value === 0 ? COLORS.axis : COLORS.grid);
+            const label = String(value);
+            canvas.text(margin.left - 8 - canvas.textWidth(label), y - 5, label, COLORS.label);
+        }
+
+        // X axis labels
+        const labelCount = 6;
+        for (let i = 0; i <= labelCount; i++) {
+            const time = series.start + (series.end - series.start) * i / labelCount;
+            const x = Math.round(xFor(time));
+            canvas.line(x, margin.top + plotHeight, x, margin.top + plotHeight + 4, COLORS.axis);
+
+            const label = this.formatTimeLabel(time, series.range);
+            const labelX = Math.min(Math.max(x - canvas.textWidth(label) / 2, 0), width - canvas.textWidth(label));
+            canvas.text(labelX, height - margin.bottom + 12, label, COLORS.label);
+        }
+
+        // Consecutive buckets further apart than this are a gap (bot offline) and aren't joined up
+        const maxGap = series.bucketSize * 2.5;
+        const segments = [];
+        let segment = [];
+        for (const point of series.points) {
+            if (segment.length > 0 && point.t - segment[segment.length - 1].t > maxGap) {
+                segments.push(segment);
+                segment = [];
+            }
+            segment.push(point);
+        }
+        if (segment.length > 0) segments.push(segment);
+
+        for (const points of segments) {
+            // Min-max band
+            for (let i = 0; i < points.length; i++) {
+                const x0 = xFor(points[i].t);
+                const x1 = i + 1 < points.length ? xFor(points[i + 1].t) : x0 + Math.max(1, plotWidth * series.bucketSize / (series.end - series.start));
+                canvas.fillRect(x0, yFor(points[i].max), Math.max(1, x1 - x0), Math.max(1, yFor(points[i].min) - yFor(points[i].max)), COLORS.range, 0.25);
+            }
+
+            // Average line
+            for (let i = 1; i < points.length; i++) {
+                canvas.line(xFor(points[i - 1].t), yFor(points[i - 1].avg), xFor(points[i].t), yFor(points[i].avg), COLORS.line, 2);
+            }
+            if (points.length === 1) {
+                canvas.fillRect(xFor(points[0].t) - 1, yFor(points[0].avg) - 1, 3, 3, COLORS.line);
+            }
+        }
+
+        // Daily averages as dashed steps - only useful once the range spans several days
+        if (series.range !== 'day') {
+            for (const daily of summary.daily) {
+                const dayStart = Math.max(new Date(`${daily.day}T00:00:00Z`).getTime(), series.start);
+                const dayEnd = Math.min(dayStart + 24 * 60 * 60 * 1000, series.end);
+                const y = yFor(daily.average);
+                canvas.line(xFor(dayStart), y, xFor(dayEnd), y, COLORS.daily, 1, 4);
+            }
+        }
+
+        // Peak marker
+        if (summary.peak && summary.peak.t >= series.start) {
+            const x = xFor(summary.peak.t);
+            const y = yFor(summary.peak.count);
+            canvas.fillRect(x - 3, y - 3, 7, 7, COLORS.peak);
+        }
+
+        return canvas.toPNG();
+    }
+
+    formatTimeLabel(time, range) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        if (range === 'day') {
+            return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        }
+        if (range === 'year') {
+            return `${date.getFullYear()}/${pad(date.getMonth() + 1)}`;
+        }
+        return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+    }
+}
+
+module.exports = new ChartRenderer();
@@ -0,0 +1,184 @@
+const logger = require('./logger').child({ module: 'chat-export' });
+
+const FORMATS = {
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'log' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// Same colours the dashboard uses when there's no classifier to ask
+const DEFAULT_COLORS = {
+    player: '#667eea',
+    server: '#9B59B6'
+};
+
+const HTML_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1e1f22; color: #dbdee1; margin: 0; padding: 20px; }
+        h1 { font-size: 1.4em; margin: 0 0 5px; }
+        .meta { color: #949ba4; font-size: 0.85em; margin-bottom: 20px; }
+        .entry { display: flex; gap: 10px; padding: 8px 10px; margin: 4px 0; background: #2b2d31; border-radius: 5px; border-left: 3px solid; }
+        .entry img { width: 24px; height: 24px; border-radius: 3px; flex-shrink: 0; image-rendering: pixelated; }
+        .time { color: #949ba4; font-size: 0.8em; }
+        .sender { font-weight: 600; }
+        .message { white-space: pre-wrap; word-break: break-word; }`;
+
+// ============================================================================
+// CHAT EXPORT CLASS
+// ============================================================================
+
+class ChatExport {
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    getContentType(format) {
+        return FORMATS[format].contentType;
+    }
+
+    getFilename(format) {
+        return `minecraft-chat-${new Date().toISOString().replace(/:/g, '-')}.${FORMATS[format].extension}`;
+    }
+
+    getHeader(format, { title = 'Minecraft Chat Transcript', description = '' } = {}) {
+        switch (format) {
+            case 'json':
+                return '[\n';
+            case 'csv':
+                return 'timestamp,sender,type,message\r\n';
+            case 'html':
+                return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escapeHtml(title)}</title>
+    <style>${HTML_STYLE}
+    </style>
+</head>
+<body>
+    <h1>${this.escapeHtml(title)}</h1>
+    <div class="meta">Exported ${this.escapeHtml(new Date().toISOString())}${description ? ` • ${this.escapeHtml(description)}` : ''}</div>
+`;
+            default:
+                return '';
+        }
+    }
+
+    formatEntry(format, log, index, { classifier = null } = {}) {
+        switch (format) {
+            case 'json':
+                return (index > 0 ? ',\n' : '') + JSON.stringify({
+                    timestamp: log.timestamp,
+                    sender: log.sender,
+                    type: log.isServerMessage ? 'server' : 'player',
+                    message: log.message
+                });
+            case 'csv':
+                return [
+                    log.timestamp,
+                    log.sender,
+                    log.isServerMessage ? 'server' : 'player',
+                    log.message
+                ].map(value => this.escapeCsv(value)).join(',') + '\r\n';
+            case 'html':
+                return this.formatHtmlEntry(log, classifier);
+            default:
+                // Don't include sender name for server messages, just the message
+                return log.isServerMessage
+                    ? `[${log.displayTime}] [SERVER] ${log.message}\n`
+                    : `[${log.displayTime}] <${log.sender}> ${log.message}\n`;
+        }
+    }
+
+    getFooter(format, count) {
+        switch (format) {
+            case 'json':
+                return count > 0 ? '\n]\n' : ']\n';
+            case 'html':
+                return `    <div class="meta">${count} message${count === 1 ? '' : 's'}</div>
+</body>
+</html>
+`;
+            default:
+                return '';
+        }
+    }
+
+    // ========================================================================
+    // HTML TRANSCRIPT
+    // ========================================================================
+
+    formatHtmlEntry(log, classifier) {
+        const { color, player } = this.describe(log, classifier);
+        const head = player
+            ? `<img src="https://mc-heads.net/avatar/${encodeURIComponent(player)}/24" alt="">`
+            : '<img src="https://mc-heads.net/avatar/MHF_Exclamation/24" alt="">';
+        const sender = log.isServerMessage ? '' : `<div class="sender" style="color: ${color};">${this.escapeHtml(log.sender)}</div>`;
+
+        return `    <div class="entry" style="border-color: ${color};">
+        ${head}
+        <div>
+            <div class="time">${this.escapeHtml(log.displayTime)}</div>
+            ${sender}
+            <div class="message">${this.escapeHtml(log.message)}</div>
+        </div>
+    </div>
+`;
+    }
+
+    describe(log, classifier) {
+        const fallback = {
+            color: log.isServerMessage ? DEFAULT_COLORS.server : DEFAULT_COLORS.player,
+            player: log.isServerMessage ? null : log.sender
+        };
+        if (!classifier) return fallback;
+
+        try {
+            const classification = log.isServerMessage
+                ? classifier.classifyServerMessage(log.message)
+                : classifier.classifyPlayerMessage(log.message);
+
+            return {
+                color: typeof classification.color === 'number'
+                    ? '#' + classification.color.toString(16).padStart(6, '0')
+                    : fallback.color,
+                player: log.isServerMessage ? classification.player : log.sender
+            };
+        } catch (error) {
+            logger.debug('Failed to classify exported message:', error.message);
+            return fallback;
+        }
+    }
+
+    // ========================================================================
+    // ESCAPING
+    // ========================================================================
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    escapeCsv(value) {
+        let text = String(value ?? '');
+        // Stop spreadsheets from treating chat text as a formula
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = new ChatExport();
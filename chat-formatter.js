@@ -0,0 +1,217 @@
+const { escapeMarkdown } = require('discord.js');
+const logger = require('./logger').child({ module: 'chat-formatter' });
+
+const MAX_DEPTH = 8;
+const MAX_FOOTNOTES = 5;
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+// Outermost first, so bold italic comes out as ***text*** and spoilers wrap everything
+const STYLE_MARKERS = [
+    ['obfuscated', '||'],
+    ['strikethrough', '~~'],
+    ['underlined', '__'],
+    ['bold', '**'],
+    ['italic', '*']
+];
+
+// ============================================================================
+// CHAT FORMATTER CLASS
+// ============================================================================
+
+class ChatFormatter {
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    toMarkdown(component, { skip = 0 } = {}) {
+        try {
+            if (!component || typeof component !== 'object') {
+                return null;
+            }
+
+            const segments = [];
+            this.collectSegments(component, {}, segments, 0);
+            const merged = this.mergeSegments(this.skipCharacters(segments, skip));
+
+            const footnotes = [];
+            let markdown = '';
+            merged.forEach((segment, index) => {
+                markdown += this.renderSegment(segment);
+
+                // Mark the end of each hover run with a numbered footnote
+                const next = merged[index + 1];
+                if (segment.hover && next?.hover !== segment.hover) {
+                    let number = footnotes.indexOf(segment.hover) + 1;
+                    if (number === 0 && footnotes.length < MAX_FOOTNOTES) {
+                        footnotes.push(segment.hover);
+                        number = footnotes.length;
+                    }
+                    if (number > 0) {
+                        markdown += this.superscript(number);
+                    }
+                }
+            });
+
+            if (footnotes.length > 0) {
+                markdown += '\n' + footnotes
+                    .map((hover, i) => `*${this.superscript(i + 1)} ${escapeMarkdown(hover.substring(0, 200))}*`)
+                    .join('\n');
+            }
+
+            return markdown.trim() || null;
+        } catch (error) {
+            logger.debug('Failed to convert chat component to markdown:', error.message);
+            return null;
+        }
+    }
+
+    stripLegacyCodes(text) {
+        return String(text)
+            .replace(/§x(?:§[0-9a-f]){6}/gi, '')
+            .replace(/§#[0-9a-f]{6}/gi, '')
+            .replace(/§[0-9a-fk-or]/gi, '')
+            .replace(/§/g, '');
+    }
+
+    // ========================================================================
+    // COMPONENT TRAVERSAL
+    // ========================================================================
+
+    collectSegments(component, inherited, segments, depth) {
+        if (depth > MAX_DEPTH || !component) return;
+
+        const base = component.reset ? {} : inherited;
+        const style = {
+            bold: this.flag(component.bold, base.bold),
+            italic: this.flag(component.italic, base.italic),
+            underlined: this.flag(component.underlined, base.underlined),
+            strikethrough: this.flag(component.strikethrough, base.strikethrough),
+            obfuscated: this.flag(component.obfuscated, base.obfuscated),
+            link: this.getLink(component) || base.link || null,
+            hover: this.getHoverText(component) || base.hover || null
+        };
+
+        if (typeof component.text === 'string' || typeof component.text === 'number') {
+            this.pushText(segments, String(component.text), style);
+        } else if (component.translate !== undefined) {
+            this.collectTranslation(component, style, segments, depth);
+        }
+
+        for (const child of component.extra || []) {
+            this.collectSegments(child, style, segments, depth + 1);
+        }
+    }
+
+    collectTranslation(component, style, segments, depth) {
+        const args = component.with || [];
+        const ChatMessage = component.constructor;
+
+        // Render the language template with placeholder tokens, then splice in the styled arguments
+        const placeholders = args.map((arg, i) => ({ text: `\u0000${i}\u0000` }));
+        const template = new ChatMessage({ translate: component.translate, with: placeholders }).toString();
+
+        template.split(/\u0000(\d+)\u0000/).forEach((part, i) => {
+            if (i % 2 === 0) {
+                this.pushText(segments, part, style);
+            } else {
+                this.collectSegments(args[parseInt(part)], style, segments, depth + 1);
+            }
+        });
+    }
+
+    pushText(segments, text, style) {
+        const clean = this.stripLegacyCodes(text);
+        if (clean) {
+            segments.push({ text: clean, ...style });
+        }
+    }
+
+    flag(own, inherited) {
+        if (own === true || own === 'true') return true;
+        if (own === false || own === 'false') return false;
+        return !!inherited;
+    }
+
+    getLink(component) {
+        const click = component.clickEvent;
+        if (click?.action !== 'open_url') return null;
+
+        const url = click.value ?? click.url;
+        return typeof url === 'string' && /^https?:\/\/\S+$/i.test(url) ? url : null;
+    }
+
+    getHoverText(component) {
+        const hover = component.hoverEvent;
+        if (hover?.action !== 'show_text') return null;
+
+        const content = hover.contents ?? hover.value;
+        if (content === undefined || content === null) return null;
+
+        const ChatMessage = component.constructor;
+        const text = typeof content === 'string' ? content : new ChatMessage(content).toString();
+        return this.stripLegacyCodes(text).replace(/\s+/g, ' ').trim() || null;
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    skipCharacters(segments, count) {
+        let remaining = count;
+        const result = [];
+
+        for (const segment of segments) {
+            if (remaining >= segment.text.length) {
+                remaining -= segment.text.length;
+                continue;
+            }
+            result.push(remaining > 0 ? { ...segment, text: segment.text.substring(remaining) } : segment);
+            remaining = 0;
+        }
+        return result;
+    }
+
+    mergeSegments(segments) {
+        const merged = [];
+        for (const segment of segments) {
+            const last = merged[merged.length - 1];
+            if (last && this.sameStyle(last, segment)) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+        return merged;
+    }
+
+    sameStyle(a, b) {
+        return a.link === b.link && a.hover === b.hover &&
+            STYLE_MARKERS.every(([style]) => a[style] === b[style]);
+    }
+
+    renderSegment(segment) {
+        // Markers only work when they hug the text, so keep surrounding whitespace outside them
+        const [, leading, body, trailing] = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!body) return segment.text;
+
+        // Also break up "](" so chat text can't smuggle in a masked link
+        let rendered = escapeMarkdown(body).replace(/\]\(/g, ']\\(');
+        if (segment.link) {
+            rendered = body === segment.link ? segment.link : `[${rendered}](${segment.link})`;
+        }
+
+        for (const [style, marker] of [...STYLE_MARKERS].reverse()) {
+            if (segment[style]) {
+                rendered = `${marker}${rendered}${marker}`;
+            }
+        }
+
+        return `${leading}${rendered}${trailing}`;
+    }
+
+    superscript(number) {
+        return String(number).split('').map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+    }
+}
+
+module.exports = new ChatFormatter();
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'chat-history' });
+
+const FILE_PATTERN = /^chat-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CHAT HISTORY CLASS
+// ============================================================================
+
+class ChatHistory {
+    // options.onEntry(entry) hears about every new entry, and again each time a
+    // server batch grows - the entry ID stays the same
+    constructor(options = {}) {
+        this.onEntry = options.onEntry || null;
+        this.instanceId = config.discord.instanceId;
+        this.historyDir = path.join('./cache', `chat-history-${this.instanceId}`);
+        this.retentionDays = config.chatHistory.retentionDays;
+        this.memoryLimit = config.chatHistory.memoryLimit;
+        this.batchWindow = config.chatHistory.batchWindow;
+
+        // Newest entries kept in memory so the dashboard poll doesn't hit the disk
+        this.recent = [];
+        this.total = 0;
+        // Whether the day files hold entries older than this.recent
+        this.olderOnDisk = false;
+        this.pendingBatch = null;
+        this.batchTimeout = null;
+        this.currentDay = null;
+        this.lastId = 0;
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync(this.historyDir)) {
+                fs.mkdirSync(this.historyDir, { recursive: true });
+            }
+
+            this.prune();
+
+            // Only the newest days are read; older ones stay on disk for scanNewest/iterate
+            const files = this.listFiles();
+            let loaded = [];
+            let filesRead = 0;
+            for (const file of files.slice().reverse()) {
+                loaded = this.readFile(file).concat(loaded);
+                filesRead++;
+                if (loaded.length >= this.memoryLimit) break;
+            }
+
+            this.recent = loaded.slice(-this.memoryLimit);
+            this.total = loaded.length;
+            this.olderOnDisk = loaded.length > this.recent.length || filesRead < files.length;
+            this.lastId = this.recent.length > 0 ? this.recent[this.recent.length - 1].id || 0 : 0;
+
+            logger.info(`Loaded ${this.recent.length} recent chat messages (${files.length} day file${files.length === 1 ? '' : 's'} on disk)`);
+            this.countOlder(files.slice(0, files.length - filesRead));
+        } catch (error) {
+            logger.error('Failed to load chat history:', error.message);
+            this.recent = [];
+            this.total = 0;
+            this.olderOnDisk = false;
+        }
+    }
+
+    // Adds the older days to the total in the background, streamed a line at a time.
+    // Until it finishes the total only covers the days that were loaded.
+    async countOlder(files) {
+        for (const file of files) {
+            try {
+                const lines = readline.createInterface({
+                    input: fs.createReadStream(path.join(this.historyDir, file), { encoding: 'utf8' }),
+                    crlfDelay: Infinity
+                });
+                for await (const line of lines) {
+                    if (line.trim()) this.total++;
+                }
+            } catch (error) {
+                logger.warn(`Failed to count chat history file ${file}:`, error.message);
+            }
+        }
+    }
+
+    append(entry) {
+        try {
+            const day = entry.timestamp.substring(0, 10);
+            if (day !== this.currentDay) {
+                this.currentDay = day;
+                this.prune();
+            }
+
+            if (!fs.existsSync(this.historyDir)) {
+                fs.mkdirSync(this.historyDir, { recursive: true });
+            }
+
+            fs.appendFileSync(this.getFilePath(day), JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            logger.error('Failed to write chat history:', error.message);
+        }
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString().substring(0, 10);
+
+        for (const file of this.listFiles()) {
+            const day = file.match(FILE_PATTERN)[1];
+            if (day >= cutoff) continue;
+
+            try {
+                fs.unlinkSync(path.join(this.historyDir, file));
+                logger.info(`Removed chat history file ${file} (older than ${this.retentionDays} days)`);
+            } catch (error) {
+                logger.warn(`Failed to remove chat history file ${file}:`, error.message);
+            }
+        }
+    }
+
+    flush() {
+        if (this.batchTimeout) {
+            clearTimeout(this.batchTimeout);
+            this.batchTimeout = null;
+        }
+
+        if (this.pendingBatch) {
+            const entry = this.pendingBatch;
+            this.pendingBatch = null;
+            this.commit(entry);
+        }
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    record(sender, message, isServerMessage = false) {
+        const timestamp = new Date().toISOString();
+
+        // Server messages arriving close together are stored as one multi-line entry
+        if (isServerMessage && this.pendingBatch) {
+            this.pendingBatch.message += '\n' + message;
+            this.pendingBatch.timestamp = timestamp;
+            this.scheduleBatchFlush();
+            this.notify(this.pendingBatch);
+            return;
+        }
+
+        this.flush();
+
+        const entry = { id: ++this.lastId, timestamp, sender, message, isServerMessage };
+        if (isServerMessage) {
+            this.pendingBatch = entry;
+            this.scheduleBatchFlush();
+            this.notify(entry);
+        } else {
+            this.commit(entry);
+            this.notify(entry);
+        }
+    }
+
+    notify(entry) {
+        if (!this.onEntry) return;
+        try {
+            this.onEntry(this.withDisplayTime(entry));
+        } catch (error) {
+            logger.warn('Chat entry listener failed:', error.message);
+        }
+    }
+
+    scheduleBatchFlush() {
+        if (this.batchTimeout) {
+            clearTimeout(this.batchTimeout);
+        }
+        this.batchTimeout = setTimeout(() => this.flush(), this.batchWindow);
+        this.batchTimeout.unref();
+    }
+
+    commit(entry) {
+        this.append(entry);
+        this.total++;
+        this.recent.push(entry);
+        if (this.recent.length > this.memoryLimit) {
+            this.recent.shift();
+            this.olderOnDisk = true;
+        }
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    getCount() {
+        return this.total + (this.pendingBatch ? 1 : 0);
+    }
+
+    // Newest first, like the dashboard shows them
+    getRecent(limit = 100, offset = 0) {
+        const needed = limit + offset;
+        let entries = this.pendingBatch ? [...this.recent, this.pendingBatch] : this.recent;
+
+        if (needed > entries.length && this.olderOnDisk) {
+            entries = this.readNewest(needed);
+            if (this.pendingBatch) {
+                entries.push(this.pendingBatch);
+            }
+        }
+
+        return entries.slice(-needed).reverse().slice(offset, offset + limit).map(entry => this.withDisplayTime(entry));
+    }
+
+    // Filtered, cursor-paginated search. Results are newest first; "before" pages to older
+    // entries and "after" to newer ones, using entry IDs as cursors.
+    async search({ before, after, limit = 100, ...filters } = {}) {
+        const matches = this.createMatcher(filters);
+        const sinceTime = filters.since ? filters.since.getTime() : null;
+
+        const results = [];
+        for await (const entry of this.scanNewest(filters)) {
+            if (before && entry.id >= before) continue;
+            if (after && entry.id <= after) break;
+            if (sinceTime !== null && new Date(entry.timestamp).getTime() < sinceTime) break;
+            if (!matches(entry)) continue;
+
+            results.push(entry);
+            // Paging forward needs the matches closest to the cursor, which come last in this scan
+            if (!after && results.length > limit) break;
+        }
+
+        let page;
+        let hasOlder;
+        let hasNewer;
+        if (after) {
+            page = results.slice(-limit);
+            hasOlder = true;
+            hasNewer = results.length > limit;
+        } else {
+            page = results.slice(0, limit);
+            hasOlder = results.length > limit;
+            hasNewer = !!before;
+        }
+
+        return {
+            logs: page.map(entry => this.withDisplayTime(entry)),
+            nextCursor: hasOlder && page.length > 0 ? page[page.length - 1].id : null,
+            prevCursor: hasNewer && page.length > 0 ? page[0].id : null
+        };
+    }
+
+    // Newest first: what's in memory, then older day files that memory doesn't cover.
+    // Day files are streamed so a search that matches nothing doesn't block the process.
+    async *scanNewest({ since = null, until = null } = {}) {
+        if (this.pendingBatch) {
+            yield this.pendingBatch;
+        }
+
+        for (let i = this.recent.length - 1; i >= 0; i--) {
+            yield this.recent[i];
+        }
+
+        if (!this.olderOnDisk) return;
+
+        const oldestInMemory = this.recent.length > 0 ? this.recent[0].id : Infinity;
+        const firstDay = since ? since.toISOString().substring(0, 10) : null;
+        const lastDay = until ? until.toISOString().substring(0, 10) : null;
+
+        for (const file of this.listFiles().reverse()) {
+            const day = file.match(FILE_PATTERN)[1];
+            if (lastDay && day > lastDay) continue;
+            if (firstDay && day < firstDay) break;
+
+            const entries = [];
+            for await (const entry of this.readEntries(file)) {
+                entries.push(entry);
+            }
+            for (let i = entries.length - 1; i >= 0; i--) {
+                if (entries[i].id < oldestInMemory) {
+                    yield entries[i];
+                }
+            }
+        }
+    }
+
+    // Oldest first, streamed line by line so an export never has to fit in memory
+    async *iterate(filters = {}) {
+        const matches = this.createMatcher(filters);
+        const firstDay = filters.since ? filters.since.toISOString().substring(0, 10) : null;
+        const lastDay = filters.until ? filters.until.toISOString().substring(0, 10) : null;
+
+        for (const file of this.listFiles()) {
+            const day = file.match(FILE_PATTERN)[1];
+            if (firstDay && day < firstDay) continue;
+            if (lastDay && day > lastDay) break;
+
+            for await (const entry of this.readEntries(file)) {
+                if (matches(entry)) {
+                    yield this.withDisplayTime(entry);
+                }
+            }
+        }
+
+        if (this.pendingBatch && matches(this.pendingBatch)) {
+            yield this.withDisplayTime(this.pendingBatch);
+        }
+    }
+
+    createMatcher({ q, sender, category, since, until, regex } = {}) {
+        const text = q ? q.toLowerCase() : null;
+        const senderName = sender ? sender.toLowerCase() : null;
+        const sinceTime = since ? since.getTime() : null;
+        const untilTime = until ? until.getTime() : null;
+
+        return (entry) => {
+            if (category === 'server' && !entry.isServerMessage) return false;
+            if (category === 'player' && entry.isServerMessage) return false;
+            if (senderName && String(entry.sender).toLowerCase() !== senderName) return false;
+            if (text && !entry.message.toLowerCase().includes(text)) return false;
+            if (regex && !regex.test(entry.message)) return false;
+
+            const time = new Date(entry.timestamp).getTime();
+            if (sinceTime !== null && time < sinceTime) return false;
+            if (untilTime !== null && time > untilTime) return false;
+            return true;
+        };
+    }
+
+    readNewest(count) {
+        const entries = [];
+        for (const file of this.listFiles().reverse()) {
+            entries.unshift(...this.readFile(file));
+            if (entries.length >= count) break;
+        }
+        return entries.slice(-count);
+    }
+
+    withDisplayTime(entry) {
+        return {
+            ...entry,
+            displayTime: new Date(entry.timestamp).toLocaleString('en-US', {
+                month: '2-digit',
+                day: '2-digit',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hour12: true
+            })
+        };
+    }
+
+    // ========================================================================
+    // FILES
+    // ========================================================================
+
+    getFilePath(day) {
+        return path.join(this.historyDir, `chat-${day}.jsonl`);
+    }
+
+    listFiles() {
+        if (!fs.existsSync(this.historyDir)) return [];
+        return fs.readdirSync(this.historyDir).filter(file => FILE_PATTERN.test(file)).sort();
+    }
+
+    readFile(file) {
+        try {
+            const data = fs.readFileSync(path.join(this.historyDir, file), 'utf8');
+            return data.split('\n').map(line => this.parseLine(line, file)).filter(Boolean);
+        } catch (error) {
+            logger.error(`Failed to read chat history file ${file}:`, error.message);
+            return [];
+        }
+    }
+
+    // Oldest first, a line at a time
+    async *readEntries(file) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(path.join(this.historyDir, file), { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        try {
+            for await (const line of lines) {
+                const entry = this.parseLine(line, file);
+                if (entry) yield entry;
+            }
+        } catch (error) {
+            logger.error(`Failed to read chat history file ${file}:`, error.message);
+        }
+    }
+
+    parseLine(line, file) {
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            // A crash mid-write can leave a partial last line - skip it
+            logger.debug(`Skipping unreadable line in ${file}`);
+            return null;
+        }
+    }
+}
+
+module.exports = ChatHistory;
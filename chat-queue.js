@@ -0,0 +1,230 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'chat-queue' });
+
+// Lower numbers are sent first
+const PRIORITIES = {
+    high: 0,
+    normal: 1,
+    low: 2
+};
+
+// ============================================================================
+// CHAT QUEUE CLASS
+// ============================================================================
+
+class ChatQueue {
+    constructor(send, options = {}) {
+        this.send = send;
+        this.minInterval = options.minInterval ?? config.minecraft.chat.minInterval;
+        this.duplicateWindow = options.duplicateWindow ?? config.minecraft.chat.duplicateWindow;
+        this.maxLength = options.maxLength ?? config.minecraft.chat.maxLength;
+        this.maxDepth = options.maxDepth ?? config.minecraft.chat.maxDepth;
+
+        this.queue = [];
+        this.recentMessages = new Map();
+        this.lastSentAt = 0;
+        this.timer = null;
+        this.sequence = 0;
+
+        this.stats = {
+            sent: 0,
+            dropped: {
+                duplicate: 0,
+                overflow: 0,
+                cleared: 0,
+                failed: 0
+            }
+        };
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    // dedupe: false sends the text even if it matches a queued or recent line, for
+    // commands that are meant to be repeated
+    enqueue(message, { priority = 'normal', dedupe = true } = {}) {
+        const text = String(message ?? '').trim();
+        if (!text) {
+            return Promise.reject(new Error('Message is empty'));
+        }
+
+        if (!(priority in PRIORITIES)) {
+            return Promise.reject(new Error(`Unknown chat priority "${priority}"`));
+        }
+
+        // Commands can't be continued on a second line, so only plain chat gets split
+        if (text.startsWith('/') && text.length > this.maxLength) {
+            return Promise.reject(new Error(`Command is longer than ${this.maxLength} characters`));
+        }
+
+        if (dedupe) {
+            // The same text already waiting is sent once - every caller gets the same promise
+            const pending = this.queue.find(item => item.text === text);
+            if (pending) {
+                return pending.promise;
+            }
+
+            this.pruneRecentMessages();
+            if (this.recentMessages.has(text)) {
+                this.stats.dropped.duplicate++;
+                logger.debug(`Suppressed duplicate chat message: "${text}"`);
+                return Promise.reject(new Error('Duplicate message suppressed'));
+            }
+        }
+
+        const item = {
+            text,
+            lines: ChatQueue.splitMessage(text, this.maxLength),
+            priority: PRIORITIES[priority],
+            sequence: this.sequence++,
+            started: false
+        };
+        item.promise = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+
+        if (this.queue.length >= this.maxDepth && !this.evictFor(item)) {
+            this.stats.dropped.overflow++;
+            logger.warn(`Chat queue full (${this.queue.length}), dropped message: "${text}"`);
+            return Promise.reject(new Error('Chat queue is full'));
+        }
+
+        this.insert(item);
+        this.schedule();
+        return item.promise;
+    }
+
+    clear(reason = 'Chat queue cleared') {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const dropped = this.queue.splice(0);
+        for (const item of dropped) {
+            item.reject(new Error(reason));
+        }
+
+        this.stats.dropped.cleared += dropped.length;
+        if (dropped.length > 0) {
+            logger.warn(`Dropped ${dropped.length} queued chat message${dropped.length > 1 ? 's' : ''}: ${reason}`);
+        }
+    }
+
+    getStats() {
+        const dropped = this.stats.dropped;
+        return {
+            depth: this.queue.length,
+            sent: this.stats.sent,
+            dropped: {
+                ...dropped,
+                total: dropped.duplicate + dropped.overflow + dropped.cleared + dropped.failed
+            },
+            minInterval: this.minInterval
+        };
+    }
+
+    static splitMessage(text, maxLength) {
+        const lines = [];
+        let remaining = text;
+
+        while (remaining.length > maxLength) {
+            let splitAt = remaining.lastIndexOf(' ', maxLength);
+            if (splitAt <= 0) {
+                splitAt = maxLength;
+            }
+            lines.push(remaining.substring(0, splitAt).trim());
+            remaining = remaining.substring(splitAt).trim();
+        }
+
+        if (remaining) {
+            lines.push(remaining);
+        }
+        return lines;
+    }
+
+    // ========================================================================
+    // QUEUE MANAGEMENT
+    // ========================================================================
+
+    insert(item) {
+        // A message that is half sent stays at the front so its lines aren't interleaved
+        let index = this.queue.findIndex(queued => !queued.started && queued.priority > item.priority);
+        if (index === -1) {
+            index = this.queue.length;
+        }
+        this.queue.splice(index, 0, item);
+    }
+
+    evictFor(item) {
+        // Make room by dropping the newest message of the lowest priority below the new one
+        let victimIndex = -1;
+        this.queue.forEach((queued, index) => {
+            if (queued.started || queued.priority <= item.priority) return;
+            const victim = this.queue[victimIndex];
+            if (!victim || queued.priority > victim.priority ||
+                (queued.priority === victim.priority && queued.sequence > victim.sequence)) {
+                victimIndex = index;
+            }
+        });
+
+        if (victimIndex === -1) return false;
+
+        const [victim] = this.queue.splice(victimIndex, 1);
+        this.stats.dropped.overflow++;
+        logger.warn(`Chat queue full, dropped lower priority message: "${victim.text}"`);
+        victim.reject(new Error('Chat queue is full'));
+        return true;
+    }
+
+    pruneRecentMessages() {
+        const cutoff = Date.now() - this.duplicateWindow;
+        for (const [text, sentAt] of this.recentMessages.entries()) {
+            if (sentAt < cutoff) {
+                this.recentMessages.delete(text);
+            }
+        }
+    }
+
+    schedule() {
+        if (this.timer || this.queue.length === 0) return;
+
+        const wait = Math.max(0, this.lastSentAt + this.minInterval - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.sendNext();
+        }, wait);
+    }
+
+    sendNext() {
+        const item = this.queue[0];
+        if (!item) return;
+
+        item.started = true;
+        const line = item.lines.shift();
+
+        try {
+            this.send(line);
+            this.lastSentAt = Date.now();
+            this.stats.sent++;
+        } catch (error) {
+            this.queue.shift();
+            this.stats.dropped.failed++;
+            item.reject(error);
+            this.schedule();
+            return;
+        }
+
+        if (item.lines.length === 0) {
+            this.queue.shift();
+            this.recentMessages.set(item.text, this.lastSentAt);
+            item.resolve();
+        }
+
+        this.schedule();
+    }
+}
+
+module.exports = ChatQueue;
@@ -10,11 +10,31 @@ const config = {
         auth: process.env.MINECRAFT_AUTH || 'microsoft',
         reconnectDelay: parseInt(process.env.RECONNECT_DELAY) || 15000,
         maxReconnectAttempts: parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 100000000000000,
-        enableAntiAfk: process.env.ENABLE_ANTI_AFK === 'true'
+        enableAntiAfk: process.env.ENABLE_ANTI_AFK === 'true',
+        chat: {
+            minInterval: parseInt(process.env.CHAT_MIN_INTERVAL) || 1000,
+            duplicateWindow: parseInt(process.env.CHAT_DUPLICATE_WINDOW) || 10000,
+            maxLength: parseInt(process.env.MINECRAFT_CHAT_MAX_LENGTH) || 256,
+            maxDepth: parseInt(process.env.CHAT_QUEUE_MAX_DEPTH) || 50
+        }
     },
     web: {
         password: process.env.WEB_PASSWORD || 'defaultpass',
-        authTimeout: parseInt(process.env.AUTH_TIMEOUT) || 15 * 60 * 1000 // 15 minutes
+        authTimeout: parseInt(process.env.AUTH_TIMEOUT) || 15 * 60 * 1000, // 15 minutes
+        // Random per process when unset, which logs everyone out on restart
+        sessionSecret: process.env.WEB_SESSION_SECRET || null,
+        // Proxy hops in front of the app, so req.ip is the real client and the session
+        // cookie is marked Secure over the proxy's HTTPS. Render (RENDER) and Replit (REPL_ID)
+        // only reach the app through their one proxy, so it defaults to 1 there; elsewhere it
+        // stays off, since a client reaching the app directly could otherwise pick its own
+        // X-Forwarded-For and dodge the login limiter. TRUST_PROXY=0 turns it off anywhere
+        trustProxy: process.env.TRUST_PROXY !== undefined
+            ? parseInt(process.env.TRUST_PROXY) || false
+            : (process.env.RENDER || process.env.REPL_ID ? 1 : false),
+        login: {
+            maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+            window: parseInt(process.env.LOGIN_WINDOW) || 15 * 60 * 1000 // 15 minutes
+        }
     },
     discord: {
         token: process.env.DISCORD_BOT_TOKEN,
@@ -23,19 +43,110 @@ const config = {
             logs: process.env.DISCORD_LOGS_CHANNEL_ID,
             login: process.env.DISCORD_LOGIN_CHANNEL_ID,
             status: process.env.DISCORD_STATUS_CHANNEL_ID,
-            playerList: process.env.DISCORD_PLAYER_LIST_CHANNEL_ID
+            playerList: process.env.DISCORD_PLAYER_LIST_CHANNEL_ID,
+            ops: process.env.DISCORD_OPS_CHANNEL_ID
         },
         playerListMessageId: process.env.DISCORD_PLAYER_LIST_MESSAGE_ID,
         statusMessageId: process.env.DISCORD_STATUS_MESSAGE_ID,
         webhook: process.env.DISCORD_WEBHOOK_URL,
-        pingUserId: process.env.DISCORD_PING_USER_ID // For login notifications
+        pingUserId: process.env.DISCORD_PING_USER_ID, // For login notifications
+        chatRulesFile: process.env.CHAT_RULES_FILE || './chat-rules.json',
+        // Category → channel ID (or "logs" / "drop"), e.g. DISCORD_ROUTES="join=123,leave=123,death=456,vote=drop"
+        routes: parseRoutes(process.env.DISCORD_ROUTES),
+        relay: {
+            enabled: process.env.DISCORD_RELAY_ENABLED !== 'false',
+            prefix: process.env.DISCORD_RELAY_PREFIX || '[Discord] {name}:',
+            maxLines: parseInt(process.env.DISCORD_RELAY_MAX_LINES) || 3
+        },
+        alerts: {
+            maxPerUser: parseInt(process.env.ALERT_MAX_PER_USER) || 25,
+            throttleMs: parseInt(process.env.ALERT_THROTTLE_MS) || 60000,
+            contextLines: parseInt(process.env.ALERT_CONTEXT_LINES) || 3,
+            contextDelay: parseInt(process.env.ALERT_CONTEXT_DELAY) || 3000
+        },
+        whispers: {
+            historyLimit: parseInt(process.env.WHISPER_HISTORY_LIMIT) || 200,
+            recapLines: parseInt(process.env.WHISPER_RECAP_LINES) || 10
+        },
+        linking: {
+            codeExpiry: parseInt(process.env.LINK_CODE_EXPIRY) || 10 * 60 * 1000 // 10 minutes
+        },
+        ops: {
+            // 'warn', 'error' or 'off' - can also be changed at runtime with /ops level
+            level: ['warn', 'error', 'off'].includes(process.env.OPS_ALERT_LEVEL) ? process.env.OPS_ALERT_LEVEL : 'warn',
+            groupWindow: parseInt(process.env.OPS_ALERT_GROUP_WINDOW) || 30000,
+            maxPerMinute: parseInt(process.env.OPS_ALERT_MAX_PER_MINUTE) || 5
+        },
+        commands: {
+            // Command prefixes /cmd may run, e.g. CMD_ALLOWLIST="bal,seen,warp list"
+            allowlist: parseCommandPrefixes(process.env.CMD_ALLOWLIST || 'bal,balance,seen,list,ping'),
+            captureWindow: parseInt(process.env.CMD_CAPTURE_WINDOW) || 1500,
+            maxLines: parseInt(process.env.CMD_MAX_LINES) || 20
+        }
+    },
+    chatHistory: {
+        retentionDays: parseInt(process.env.CHAT_HISTORY_RETENTION_DAYS) || 30,
+        memoryLimit: parseInt(process.env.CHAT_HISTORY_MEMORY_LIMIT) || 1000,
+        batchWindow: parseInt(process.env.CHAT_HISTORY_BATCH_WINDOW) || 2000
+    },
+    sessions: {
+        retentionDays: parseInt(process.env.SESSION_RETENTION_DAYS) || 365
+    },
+    audit: {
+        retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 90
+    },
+    population: {
+        sampleInterval: parseInt(process.env.POPULATION_SAMPLE_INTERVAL) || 60000,
+        rawRetentionDays: parseInt(process.env.POPULATION_RAW_RETENTION_DAYS) || 7,
+        retentionDays: parseInt(process.env.POPULATION_RETENTION_DAYS) || 365,
+        maxPoints: parseInt(process.env.POPULATION_MAX_POINTS) || 200
+    },
+    health: {
+        // /readyz warns while a connection is down and fails once it has been down this long
+        minecraftGrace: parseInt(process.env.HEALTH_MINECRAFT_GRACE) || 5 * 60 * 1000,
+        discordGrace: parseInt(process.env.HEALTH_DISCORD_GRACE) || 60 * 1000,
+        // Queued messages (Discord relay or in-game chat) before /readyz warns / fails
+        queueWarn: parseInt(process.env.HEALTH_QUEUE_WARN) || 20,
+        queueFail: parseInt(process.env.HEALTH_QUEUE_FAIL) || 50,
+        // Longest event loop delay in ms within a 10s window for that window to count as
+        // slow; /livez fails after this many slow windows in a row
+        eventLoopDelay: parseInt(process.env.HEALTH_EVENT_LOOP_DELAY) || 1000,
+        eventLoopWindows: parseInt(process.env.HEALTH_EVENT_LOOP_WINDOWS) || 3
     },
     logging: {
         level: process.env.LOG_LEVEL || 'info',
-        console: process.env.LOG_CONSOLE !== 'false'
+        console: process.env.LOG_CONSOLE !== 'false',
+        file: {
+            enabled: process.env.LOG_FILE !== 'false',
+            // Defaults to ./cache/logs-<instanceId>
+            directory: process.env.LOG_DIR || null,
+            // 'daily' or 'size'
+            rotation: process.env.LOG_ROTATION === 'size' ? 'size' : 'daily',
+            maxSize: parseInt(process.env.LOG_MAX_SIZE) || 10 * 1024 * 1024,
+            retentionDays: parseInt(process.env.LOG_RETENTION_DAYS) || 14
+        }
     }
 };
 
+function parseRoutes(value) {
+    const routes = {};
+    if (!value) return routes;
+
+    for (const entry of value.split(',')) {
+        const [category, target] = entry.split('=').map(part => part.trim());
+        if (category && target) {
+            routes[category] = target;
+        }
+    }
+    return routes;
+}
+
+function parseCommandPrefixes(value) {
+    return value.split(',')
+        .map(prefix => prefix.trim().replace(/^\//, '').replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean);
+}
+
 // Validate required configuration
 function validateConfig() {
     const required = [
@@ -1,10 +1,63 @@
-const { Client, GatewayIntentBits, ChannelType, EmbedBuilder, SlashCommandBuilder, REST, Routes, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, GatewayIntentBits, ChannelType, EmbedBuilder, SlashCommandBuilder, REST, Routes, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder, codeBlock, escapeCodeBlock } = require('discord.js');
 const fetch = require('node-fetch');
 const config = require('./config');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'discord-client' });
+const AlertSubscriptions = require('./alert-subscriptions');
+const MessageClassifier = require('./message-classifier');
+const WhisperInbox = require('./whisper-inbox');
+const AccountLinks = require('./account-links');
+const ChatQueue = require('./chat-queue');
+const OpsAlerts = require('./ops-alerts');
+const chatFormatter = require('./chat-formatter');
+const chartRenderer = require('./chart-renderer');
+const metrics = require('./metrics');
 const fs = require('fs');
 const path = require('path');
 
+// Minecraft's font can't render most emoji, so common ones are relayed by name
+const RELAY_EMOJI_NAMES = {
+    '😀': 'grinning', '😃': 'smiley', '😄': 'smile', '😁': 'grin', '😆': 'laughing',
+    '😅': 'sweat_smile', '😂': 'joy', '🤣': 'rofl', '🙂': 'slight_smile', '😉': 'wink',
+    '😊': 'blush', '😍': 'heart_eyes', '😘': 'kissing_heart', '😎': 'sunglasses', '🤔': 'thinking',
+    '😐': 'neutral_face', '🙄': 'rolling_eyes', '😏': 'smirk', '😢': 'cry', '😭': 'sob',
+    '😡': 'rage', '😱': 'scream', '💀': 'skull', '👍': 'thumbsup', '👎': 'thumbsdown',
+    '👋': 'wave', '👏': 'clap', '🙏': 'pray', '💪': 'muscle', '👀': 'eyes',
+    '❤': 'heart', '💔': 'broken_heart', '🔥': 'fire', '✨': 'sparkles', '🎉': 'tada',
+    '💯': '100', '✅': 'white_check_mark', '❌': 'x', '⚠': 'warning', '⭐': 'star'
+};
+
+// How long a routed channel that failed to fetch falls back to logs before it is tried again
+const ROUTE_RETRY_DELAY = 5 * 60 * 1000;
+
+const PERIOD_CHOICES = [
+    { name: 'Last 24 hours', value: 'day' },
+    { name: 'Last 7 days', value: 'week' },
+    { name: 'Last 30 days', value: 'month' },
+    { name: 'All time', value: 'all' }
+];
+
+// Slash commands that change what the bot does, recorded in the audit log
+const AUDITED_COMMANDS = ['message', 'cmd', 'walk', 'jump', 'look', 'stop', 'ops', 'token'];
+
+// Subcommands of audited commands that only look at things
+const READ_ONLY_SUBCOMMANDS = {
+    ops: ['status'],
+    token: ['list']
+};
+
+const relayedMessages = metrics.counter('atommc_relayed_messages_total', 'Chat messages relayed between Minecraft and Discord', ['direction', 'category']);
+const queueRetries = metrics.counter('atommc_discord_queue_retries_total', 'Queued Discord messages requeued after a failed send');
+const queueDrops = metrics.counter('atommc_discord_queue_dropped_total', 'Queued Discord messages dropped without being sent', ['reason']);
+const slashCommands = metrics.counter('atommc_slash_commands_total', 'Slash commands handled', ['command']);
+const slashCommandDuration = metrics.histogram('atommc_slash_command_duration_seconds', 'Time taken to handle a slash command', ['command']);
+
+const RANGE_CHOICES = [
+    { name: 'Last 24 hours', value: 'day' },
+    { name: 'Last 7 days', value: 'week' },
+    { name: 'Last 30 days', value: 'month' },
+    { name: 'Last year', value: 'year' }
+];
+
 // ============================================================================
 // DISCORD CLIENT CLASS
 // ============================================================================
@@ -16,10 +69,12 @@ class DiscordClient {
             logs: null,
             login: null,
             status: null,
-            playerList: null
+            playerList: null,
+            ops: null
         };
         this.webhook = null;
         this.isConnected = false;
+        this.disconnectedAt = null;
         this.messageQueue = [];
         this.isProcessingQueue = false;
         this.pendingMessages = new Map();
@@ -31,6 +86,15 @@ class DiscordClient {
         this.authMessageId = null;
         this.queueRetries = new Map();
         this.maxQueueRetries = 3;
+        this.alertSubscriptions = new AlertSubscriptions();
+        this.classifier = new MessageClassifier();
+        this.routedChannels = new Map();
+        // Channel id -> when fetching it last failed, so a missing channel is retried later
+        // instead of being fetched for every message or given up on for good
+        this.failedRoutes = new Map();
+        this.whisperInbox = new WhisperInbox();
+        this.accountLinks = new AccountLinks();
+        this.opsAlerts = new OpsAlerts(alert => this.sendOpsAlert(alert));
         
         // Use instance-specific cache file to prevent conflicts
         this.instanceId = process.env.DISCORD_INSTANCE_ID || 'default';
@@ -111,7 +175,8 @@ class DiscordClient {
             this.client = new Client({
                 intents: [
                     GatewayIntentBits.Guilds,
-                    GatewayIntentBits.GuildMessages
+                    GatewayIntentBits.GuildMessages,
+                    GatewayIntentBits.MessageContent
                 ],
                 partials: [
                     Partials.Message,
@@ -140,14 +205,44 @@ class DiscordClient {
                 this.isConnected = false;
             });
 
+            // The gateway drops and resumes on its own; track it so /readyz can tell how long it's been down
+            this.client.on('shardDisconnect', (event, shardId) => {
+                logger.warn(`Discord gateway shard ${shardId} disconnected (code ${event.code})`);
+                this.isConnected = false;
+                this.disconnectedAt = this.disconnectedAt || Date.now();
+            });
+
+            this.client.on('shardReconnecting', () => {
+                this.isConnected = false;
+                this.disconnectedAt = this.disconnectedAt || Date.now();
+            });
+
+            this.client.on('shardResume', () => {
+                this.markReconnected();
+            });
+
+            this.client.on('shardReady', () => {
+                this.markReconnected();
+            });
+
             this.client.on('interactionCreate', async (interaction) => {
                 if (interaction.isChatInputCommand()) {
-                    await this.handleSlashCommand(interaction);
+                    const startTime = Date.now();
+                    try {
+                        await this.handleSlashCommand(interaction);
+                    } finally {
+                        slashCommands.inc({ command: interaction.commandName });
+                        slashCommandDuration.observe({ command: interaction.commandName }, (Date.now() - startTime) / 1000);
+                    }
                 } else if (interaction.isButton()) {
                     await this.handleButtonInteraction(interaction);
                 }
             });
 
+            this.client.on('messageCreate', async (message) => {
+                await this.handleDiscordMessage(message);
+            });
+
             await this.client.login(config.discord.token);
         } catch (error) {
             logger.error('Failed to connect to Discord:', error);
@@ -155,6 +250,14 @@ class DiscordClient {
         }
     }
 
+    // Shard ready/resume events also fire during the first login, before channels are set up
+    markReconnected() {
+        if (!this.client?.isReady() || this.isConnected) return;
+        logger.info('Discord gateway reconnected');
+        this.isConnected = true;
+        this.disconnectedAt = null;
+    }
+
     // ========================================================================
     // BUTTON INTERACTIONS
     // ========================================================================
@@ -166,8 +269,10 @@ class DiscordClient {
             // Defer the reply immediately to prevent "already acknowledged" errors
             await interaction.deferReply({ ephemeral: true });
 
+            const action = interaction.customId.replace(/^bot_/, '');
             const member = await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
             if (!member || (!member.permissions.has('Administrator') && !member.permissions.has('ManageGuild'))) {
+                this.recordAudit(interaction, 'discord-button', action, {}, 'denied', 'Missing Administrator or Manage Server permission');
                 return await interaction.editReply({ 
                     content: '❌ You need Administrator or Manage Server permissions to control the bot'
                 });
@@ -183,7 +288,9 @@ class DiscordClient {
                         content: '🔄 Attempting to connect...'
                     });
                     await this.sendStatusEmbed('🔄 Connecting...', 'Connection requested via Discord button', 0xFFAA00);
+                    this.recordAudit(interaction, 'discord-button', action, {}, 'success');
                 } else if (this.minecraftBot && this.minecraftBot.isConnected) {
+                    this.recordAudit(interaction, 'discord-button', action, {}, 'failed', 'Bot is already connected');
                     await interaction.editReply({ 
                         content: '✅ Bot is already connected'
                     });
@@ -200,10 +307,12 @@ class DiscordClient {
                         content: '⛔ Bot has been stopped'
                     });
                     await this.sendStatusEmbed('⛔ Shutdown', 'Bot manually stopped via Discord button', 0xE74C3C);
+                    this.recordAudit(interaction, 'discord-button', action, {}, 'success');
                 }
             }
         } catch (error) {
             logger.error('Error handling button interaction:', error.message || error);
+            this.recordAudit(interaction, 'discord-button', interaction.customId.replace(/^bot_/, ''), {}, 'failed', error.message);
             if (!interaction.replied && !interaction.deferred) {
                 await interaction.reply({ 
                     content: '❌ An error occurred', 
@@ -237,6 +346,14 @@ class DiscordClient {
                             .setDescription('The message to send')
                             .setRequired(true)
                     ),
+                new SlashCommandBuilder()
+                    .setName('cmd')
+                    .setDescription('Run an allowed server command and show its response')
+                    .addStringOption(option =>
+                        option.setName('command')
+                            .setDescription('The command to run, e.g. /bal')
+                            .setRequired(true)
+                    ),
                 new SlashCommandBuilder()
                     .setName('walk')
                     .setDescription('Make the bot walk forward a specified number of blocks')
@@ -294,7 +411,210 @@ class DiscordClient {
                     ),
                 new SlashCommandBuilder()
                     .setName('stop')
-                    .setDescription('Stop all bot movement and actions')
+                    .setDescription('Stop all bot movement and actions'),
+                new SlashCommandBuilder()
+                    .setName('alert')
+                    .setDescription('Manage your chat keyword alerts')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('add')
+                            .setDescription('Get a DM when a chat message matches a keyword or pattern')
+                            .addStringOption(option =>
+                                option.setName('pattern')
+                                    .setDescription('Keyword to watch for, or a regular expression if regex is enabled')
+                                    .setRequired(true)
+                                    .setMaxLength(200)
+                            )
+                            .addBooleanOption(option =>
+                                option.setName('regex')
+                                    .setDescription('Treat the pattern as a regular expression')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('sender')
+                                    .setDescription('Only match messages sent by this player')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('type')
+                                    .setDescription('Only match this kind of message')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: 'Any', value: 'any' },
+                                        { name: 'Player chat', value: 'player' },
+                                        { name: 'Server messages', value: 'server' }
+                                    )
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('remove')
+                            .setDescription('Remove one of your alerts')
+                            .addIntegerOption(option =>
+                                option.setName('id')
+                                    .setDescription('Alert ID shown by /alert list')
+                                    .setRequired(true)
+                                    .setMinValue(1)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('list')
+                            .setDescription('List your alerts')
+                    ),
+                new SlashCommandBuilder()
+                    .setName('link')
+                    .setDescription('Link your Discord account to your Minecraft account')
+                    .addStringOption(option =>
+                        option.setName('minecraft-name')
+                            .setDescription('Your Minecraft username')
+                            .setRequired(true)
+                            .setMinLength(3)
+                            .setMaxLength(16)
+                    ),
+                new SlashCommandBuilder()
+                    .setName('unlink')
+                    .setDescription('Remove the link between your Discord and Minecraft accounts'),
+                new SlashCommandBuilder()
+                    .setName('seen')
+                    .setDescription('Show when a player was last online')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    ),
+                new SlashCommandBuilder()
+                    .setName('playtime')
+                    .setDescription('Show how long a player has been online')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('period')
+                            .setDescription('Time period (default: all time)')
+                            .setRequired(false)
+                            .addChoices(...PERIOD_CHOICES)
+                    ),
+                new SlashCommandBuilder()
+                    .setName('leaderboard')
+                    .setDescription('Show player leaderboards')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('playtime')
+                            .setDescription('Players with the most time online')
+                            .addStringOption(option =>
+                                option.setName('period')
+                                    .setDescription('Time period (default: all time)')
+                                    .setRequired(false)
+                                    .addChoices(...PERIOD_CHOICES)
+                            )
+                    ),
+                new SlashCommandBuilder()
+                    .setName('stats')
+                    .setDescription('Show server statistics')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('population')
+                            .setDescription('Chart of online player count')
+                            .addStringOption(option =>
+                                option.setName('range')
+                                    .setDescription('Time range (default: last 24 hours)')
+                                    .setRequired(false)
+                                    .addChoices(...RANGE_CHOICES)
+                            )
+                    ),
+                new SlashCommandBuilder()
+                    .setName('ops')
+                    .setDescription('Manage warnings and errors sent to the ops channel')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('level')
+                            .setDescription('Set which log entries are sent to the ops channel')
+                            .addStringOption(option =>
+                                option.setName('level')
+                                    .setDescription('Lowest level to send')
+                                    .setRequired(true)
+                                    .addChoices(
+                                        { name: 'Warnings and errors', value: 'warn' },
+                                        { name: 'Errors only', value: 'error' },
+                                        { name: 'Off', value: 'off' }
+                                    )
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('status')
+                            .setDescription('Show ops alert settings')
+                    ),
+                new SlashCommandBuilder()
+                    .setName('token')
+                    .setDescription('Manage API tokens for the REST endpoints')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('create')
+                            .setDescription('Create an API token (shown once)')
+                            .addStringOption(option =>
+                                option.setName('name')
+                                    .setDescription('What the token is for')
+                                    .setRequired(true)
+                                    .setMaxLength(50)
+                            )
+                            .addStringOption(option =>
+                                option.setName('scopes')
+                                    .setDescription('Comma-separated: status:read, chat:read, chat:send, bot:control, audit:read')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('list')
+                            .setDescription('List API tokens')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('revoke')
+                            .setDescription('Revoke an API token')
+                            .addStringOption(option =>
+                                option.setName('id')
+                                    .setDescription('Token ID from /token list')
+                                    .setRequired(true)
+                            )
+                    ),
+                new SlashCommandBuilder()
+                    .setName('audit')
+                    .setDescription('Show recent control actions taken through Discord and the web dashboard')
+                    .addStringOption(option =>
+                        option.setName('actor')
+                            .setDescription('Only show actions by this Discord user or web client')
+                            .setRequired(false)
+                    )
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('Only show this action, e.g. walk or disconnect')
+                            .setRequired(false)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('limit')
+                            .setDescription('Number of entries to show (default 15)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(25)
+                    ),
+                new SlashCommandBuilder()
+                    .setName('deaths')
+                    .setDescription('Show how a player has died')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    ),
+                new SlashCommandBuilder()
+                    .setName('top')
+                    .setDescription('Show player rankings')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('deaths')
+                            .setDescription('Players who have died the most')
+                    ),
+                new SlashCommandBuilder()
+                    .setName('advancements')
+                    .setDescription('Show the advancements a player has made')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    )
             ];
 
             const rest = new REST({ version: '10' }).setToken(config.discord.token);
@@ -313,7 +633,7 @@ class DiscordClient {
     async setupChannels() {
         try {
             const criticalChannels = ['logs', 'login', 'status'];
-            const optionalChannels = ['playerList'];
+            const optionalChannels = ['playerList', 'ops'];
 
             for (const type of criticalChannels) {
                 const channelId = config.discord.channels[type];
@@ -351,6 +671,12 @@ class DiscordClient {
                 }
             }
 
+            await this.setupRoutedChannels();
+
+            if (this.channels.ops) {
+                logger.addTransport(this.opsAlerts);
+            }
+
             await this.sendStatusEmbed('Starting up', 'Minecraft bot is initializing...', 0xFFFF00);
             this.processMessageQueue();
         } catch (error) {
@@ -393,14 +719,19 @@ class DiscordClient {
         }
     }
 
-    async sendChatMessage(playerName, message, isServerMessage = false) {
+    async sendChatMessage(playerName, message, isServerMessage = false, { category = null, component = null } = {}) {
         // Log to bridge for web interface
         if (this.bridge && this.bridge.logChatMessage) {
             this.bridge.logChatMessage(playerName, message, isServerMessage);
         }
         
         if (!this.isConnected) {
-            this.messageQueue.push({message: `**${playerName}**: ${message}`, channelType: 'logs'});
+            const routeTarget = typeof message === 'string'
+                ? this.getRouteTarget(this.classifyMessage(message, isServerMessage, category))
+                : 'logs';
+            if (routeTarget !== 'drop') {
+                this.messageQueue.push({message: `**${playerName}**: ${message}`, channelType: 'logs', routeTarget});
+            }
             return;
         }
 
@@ -421,93 +752,71 @@ class DiscordClient {
 
             if (this.channels.logs) {
                 if (!isServerMessage) {
-                    const rankMatch = message.match(/^\[([^\]]+)\]/);
-                    const cleanMessage = rankMatch ? message.replace(/^\[[^\]]+\]\s*/, '') : message;
-                    const playerRank = rankMatch ? rankMatch[1] : null;
-                    
-                    let playerColor = 0x5865F2;
-                    if (playerRank) {
-                        if (playerRank.includes('AGENT')) playerColor = 0xFF0000;
-                        else if (playerRank.includes('Pioneer')) playerColor = 0x9B59B6;
-                        else if (playerRank.includes('Scout')) playerColor = 0x2ECC71;
-                        else if (playerRank.includes('VIP')) playerColor = 0xF1C40F;
-                    }
+                    const classification = this.classifier.classifyPlayerMessage(message, category);
+                    const playerRank = classification.rank;
+                    const markdown = component
+                        ? chatFormatter.toMarkdown(component, { skip: message.length - classification.cleanMessage.length })
+                        : null;
                     
                     const embed = new EmbedBuilder()
-                        .setColor(playerColor)
+                        .setColor(classification.color)
                         .setAuthor({
                             name: playerRank ? `${playerName} [${playerRank}]` : playerName,
                             iconURL: `https://mc-heads.net/avatar/${playerName}/32`
                         })
-                        .setDescription(`💬 ${cleanMessage}`)
+                        .setDescription(`💬 ${(markdown || classification.cleanMessage).substring(0, 4000)}`)
                         .setTimestamp()
                         .setFooter({ 
-                            text: `🎮 ${config.minecraft.host} • Player Chat`, 
+                            text: `${classification.icon} ${config.minecraft.host} • ${classification.label}`, 
                             iconURL: 'https://mc-heads.net/avatar/MHF_Steve/16'
                         });
 
-                    await this.channels.logs.send({ embeds: [embed] }).catch(err => {
+                    const channel = await this.resolveRoute(classification);
+                    if (!channel) return;
+
+                    // Embeds never ping, so linked players mentioned with @name go in the message content
+                    const mentions = this.getMentionedUsers(classification.cleanMessage);
+                    await channel.send({
+                        content: mentions.length > 0 ? mentions.map(id => `<@${id}>`).join(' ') : undefined,
+                        embeds: [embed],
+                        allowedMentions: { users: mentions }
+                    }).catch(err => {
                         logger.error('Failed to send player message embed:', err);
                         throw err;
                     });
+                    relayedMessages.inc({ direction: 'minecraft_to_discord', category: classification.type });
                 } else {
-                    let messageColor = 0x57F287;
-                    let messageCategory = 'Server Message';
+                    const classification = this.classifier.classifyServerMessage(message);
+                    const markdown = component ? chatFormatter.toMarkdown(component) : null;
+                    const detectedPlayer = classification.player;
                     let authorName = 'Server System';
                     let authorIcon = 'https://mc-heads.net/avatar/MHF_Question/32';
                     
-                    let detectedPlayer = null;
-                    
-                    if (message.includes('joined the game')) {
-                        const joinMatch = message.match(/^(\w+) joined the game/);
-                        detectedPlayer = joinMatch ? joinMatch[1] : null;
-                        messageColor = 0x2ECC71;
-                        messageCategory = 'Player Joined';
-                    } else if (message.includes('left the game')) {
-                        const leaveMatch = message.match(/^(\w+) left the game/);
-                        detectedPlayer = leaveMatch ? leaveMatch[1] : null;
-                        messageColor = 0xE67E22;
-                        messageCategory = 'Player Left';
-                    } else if (message.includes('vote') || message.includes('Vote')) {
-                        messageColor = 0x3498DB;
-                        messageCategory = 'Vote Reminder';
-                    } else if (message.includes('PLAYERWARPS') || message.includes('warp')) {
-                        messageColor = 0x9B59B6;
-                        messageCategory = 'Player Warp';
-                    } else if (message.includes('death') || message.includes('killed') || message.includes('died')) {
-                        const deathMatch = message.match(/^(\w+) (was|died|killed)/);
-                        detectedPlayer = deathMatch ? deathMatch[1] : null;
-                        messageColor = 0xE74C3C;
-                        messageCategory = 'Death Event';
-                    } else if (message.includes('achievement') || message.includes('advancement')) {
-                        const achievementMatch = message.match(/^(\w+) has (made the advancement|completed the challenge|reached the goal)/);
-                        detectedPlayer = achievementMatch ? achievementMatch[1] : null;
-                        messageColor = 0xF1C40F;
-                        messageCategory = 'Achievement';
-                    }
-                    
                     if (detectedPlayer) {
                         authorName = detectedPlayer;
                         authorIcon = `https://mc-heads.net/avatar/${detectedPlayer}/32`;
                     }
 
                     const embed = new EmbedBuilder()
-                        .setColor(messageColor)
+                        .setColor(classification.color)
                         .setAuthor({
                             name: authorName,
                             iconURL: authorIcon
                         })
-                        .setDescription(`${message}`)
+                        .setDescription(`${(markdown || message).substring(0, 4000)}`)
                         .setTimestamp()
                         .setFooter({ 
-                            text: `${messageCategory} • ${config.minecraft.host}`, 
+                            text: `${classification.icon} ${classification.label} • ${config.minecraft.host}`, 
                             iconURL: 'https://mc-heads.net/avatar/MHF_Exclamation/16'
                         });
 
-                    await this.channels.logs.send({ embeds: [embed] }).catch(err => {
+                    const channel = await this.resolveRoute(classification);
+                    if (!channel) return;
+                    await channel.send({ embeds: [embed] }).catch(err => {
                         logger.error('Failed to send server message embed:', err);
                         throw err;
                     });
+                    relayedMessages.inc({ direction: 'minecraft_to_discord', category: classification.type });
                 }
             }
         } catch (error) {
@@ -516,6 +825,13 @@ class DiscordClient {
     }
 
     async sendBatchedMessages(messages) {
+        // Log to bridge for web interface
+        if (this.bridge && this.bridge.logChatMessage) {
+            for (const { message } of messages) {
+                this.bridge.logChatMessage('Server', message, true);
+            }
+        }
+
         if (!this.isConnected || !this.channels.logs) {
             logger.debug('Cannot send batched messages - not connected or logs channel unavailable');
             return;
@@ -527,25 +843,46 @@ class DiscordClient {
                 return;
             }
 
-            let description = messages.join('\n');
-            if (description.length > 1900) {
-                description = description.substring(0, 1900) + '... (truncated)';
-            }
+            // A batch can mix categories, so split it up by destination channel
+            const batches = new Map();
+            for (const { message, component } of messages) {
+                const classification = this.classifier.classifyServerMessage(message);
+                const channel = await this.resolveRoute(classification);
+                if (!channel) continue;
 
-            const embed = new EmbedBuilder()
-                .setColor(0x57F287)
-                .setAuthor({
-                    name: 'Server System',
-                    iconURL: 'https://mc-heads.net/avatar/MHF_Question/32'
-                })
-                .setDescription(`${description}`)
-                .setTimestamp()
-                .setFooter({ 
-                    text: `${messages.length} messages • ${config.minecraft.host}`, 
-                    iconURL: 'https://mc-heads.net/avatar/MHF_Exclamation/16'
+                if (!batches.has(channel)) {
+                    batches.set(channel, []);
+                }
+                batches.get(channel).push({
+                    text: (component && chatFormatter.toMarkdown(component)) || message,
+                    category: classification.type
                 });
+            }
+
+            for (const [channel, channelMessages] of batches.entries()) {
+                let description = channelMessages.map(entry => entry.text).join('\n');
+                if (description.length > 1900) {
+                    description = description.substring(0, 1900) + '... (truncated)';
+                }
 
-            await this.channels.logs.send({ embeds: [embed] });
+                const embed = new EmbedBuilder()
+                    .setColor(0x57F287)
+                    .setAuthor({
+                        name: 'Server System',
+                        iconURL: 'https://mc-heads.net/avatar/MHF_Question/32'
+                    })
+                    .setDescription(`${description}`)
+                    .setTimestamp()
+                    .setFooter({ 
+                        text: `${channelMessages.length} message${channelMessages.length === 1 ? '' : 's'} • ${config.minecraft.host}`, 
+                        iconURL: 'https://mc-heads.net/avatar/MHF_Exclamation/16'
+                    });
+
+                await channel.send({ embeds: [embed] });
+                for (const entry of channelMessages) {
+                    relayedMessages.inc({ direction: 'minecraft_to_discord', category: entry.category });
+                }
+            }
             logger.debug(`Successfully sent ${messages.length} batched server messages`);
         } catch (error) {
             const errorMsg = error?.message || error?.code || JSON.stringify(error) || 'Unknown error';
@@ -553,7 +890,7 @@ class DiscordClient {
         }
     }
 
-    batchMessage(message, isServerMessage = false) {
+    batchMessage(message, isServerMessage = false, component = null) {
         if (!isServerMessage) {
             return false;
         }
@@ -565,7 +902,7 @@ class DiscordClient {
             this.pendingMessages.set(batchKey, []);
         }
 
-        this.pendingMessages.get(batchKey).push(message);
+        this.pendingMessages.get(batchKey).push({ message, component });
 
         if (this.batchTimeout) {
             clearTimeout(this.batchTimeout);
@@ -591,7 +928,7 @@ class DiscordClient {
                 }
 
                 if (messages.length === 1) {
-                    await this.sendChatMessage('Server', messages[0], true);
+                    await this.sendChatMessage('Server', messages[0].message, true, { component: messages[0].component });
                 } else if (messages.length > 1) {
                     logger.info(`Sending ${messages.length} batched server messages`);
                     await this.sendBatchedMessages(messages);
@@ -606,6 +943,67 @@ class DiscordClient {
         }
     }
 
+    // ========================================================================
+    // CHANNEL ROUTING
+    // ========================================================================
+
+    async setupRoutedChannels() {
+        const channelIds = new Set(this.classifier.getChannelIds());
+        for (const target of Object.values(config.discord.routes)) {
+            channelIds.add(target);
+        }
+        channelIds.delete('logs');
+        channelIds.delete('drop');
+
+        for (const channelId of channelIds) {
+            await this.fetchRoutedChannel(channelId);
+        }
+
+        for (const [category, target] of Object.entries(config.discord.routes)) {
+            logger.info(`Routing ${category} messages to ${target === 'drop' || target === 'logs' ? target : `#${this.routedChannels.get(target)?.name || 'logs (fallback)'}`}`);
+        }
+    }
+
+    async fetchRoutedChannel(channelId) {
+        const channel = await this.client.channels.fetch(channelId).catch(() => null);
+
+        if (channel && channel.isTextBased()) {
+            this.routedChannels.set(channelId, channel);
+            this.failedRoutes.delete(channelId);
+            return channel;
+        }
+
+        logger.error(`Routed channel ${channelId} not found or not a text channel, falling back to logs channel`);
+        this.failedRoutes.set(channelId, Date.now());
+        return null;
+    }
+
+    classifyMessage(message, isServerMessage, category = null) {
+        return isServerMessage
+            ? this.classifier.classifyServerMessage(message)
+            : this.classifier.classifyPlayerMessage(message, category);
+    }
+
+    getRouteTarget(classification) {
+        return classification.channel || config.discord.routes[classification.type] || 'logs';
+    }
+
+    async resolveRoute(classification) {
+        const target = this.getRouteTarget(classification);
+        if (target === 'drop') return null;
+        if (target === 'logs' || !this.client) return this.channels.logs;
+
+        // Rules can gain new channels on reload, so fetch anything not seen at startup, and
+        // retry failed ones now and then in case the channel or the bot's access comes back
+        if (!this.routedChannels.has(target)) {
+            const failedAt = this.failedRoutes.get(target);
+            if (failedAt === undefined || Date.now() - failedAt >= ROUTE_RETRY_DELAY) {
+                await this.fetchRoutedChannel(target);
+            }
+        }
+        return this.routedChannels.get(target) || this.channels.logs;
+    }
+
     // ========================================================================
     // EMBED MESSAGES
     // ========================================================================
@@ -862,6 +1260,7 @@ class DiscordClient {
 
         if (this.messageQueue.length > 100) {
             logger.warn(`Message queue overflow detected (${this.messageQueue.length} messages), clearing old messages`);
+            queueDrops.inc({ reason: 'overflow' }, this.messageQueue.length - 50);
             this.messageQueue.splice(0, this.messageQueue.length - 50);
         }
 
@@ -884,7 +1283,7 @@ class DiscordClient {
                         await channel.send({ embeds: [item.embed] });
                     }
                 } else if (item.message) {
-                    const channel = this.channels[item.channelType] || this.channels.logs;
+                    const channel = (item.routeTarget && this.routedChannels.get(item.routeTarget)) || this.channels[item.channelType] || this.channels.logs;
                     await channel.send(item.message);
                 }
                 
@@ -896,20 +1295,15 @@ class DiscordClient {
                 if (retryCount < this.maxQueueRetries) {
                     this.queueRetries.set(retryKey, retryCount + 1);
                     this.messageQueue.push(item);
+                    queueRetries.inc();
                     const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 30000);
                     logger.warn(`Requeued message (attempt ${retryCount + 1}/${this.maxQueueRetries}), backing off ${backoffDelay}ms`);
                     await new Promise(resolve => setTimeout(resolve, backoffDelay));
                 } else {
+                    // Reaches the ops channel through the logger transport when one is configured
                     logger.error(`CRITICAL: Message dropped after ${this.maxQueueRetries} retries - Discord may be experiencing issues`);
+                    queueDrops.inc({ reason: 'retries' });
                     this.queueRetries.delete(retryKey);
-                    
-                    if (this.minecraftBot && this.minecraftBot.isConnected) {
-                        try {
-                            this.minecraftBot.bot.chat('[Bot] Warning: Discord message queue experiencing failures');
-                        } catch (e) {
-                            logger.debug('Failed to send in-game alert:', e.message);
-                        }
-                    }
                 }
                 break;
             }
@@ -918,6 +1312,287 @@ class DiscordClient {
         this.isProcessingQueue = false;
     }
 
+    // ========================================================================
+    // DISCORD → MINECRAFT RELAY
+    // ========================================================================
+
+    async handleDiscordMessage(message) {
+        try {
+            if (message.author?.bot || message.webhookId) return;
+
+            const whisperPlayer = this.whisperInbox.getPlayerByThread(message.channelId);
+            if (whisperPlayer) {
+                await this.handleWhisperReply(message, whisperPlayer);
+                return;
+            }
+
+            if (!config.discord.relay.enabled) return;
+            if (!this.channels.logs || message.channelId !== this.channels.logs.id) return;
+
+            if (!this.minecraftBot || !this.minecraftBot.isConnected) {
+                logger.debug('Skipping Discord relay - bot is not connected to Minecraft');
+                return;
+            }
+
+            const text = this.formatRelayText(message);
+            if (!text) return;
+
+            const linkedName = this.accountLinks.getMinecraftName(message.author.id);
+            const name = this.sanitizeRelayText(linkedName || message.member?.displayName || message.author.username).substring(0, 32);
+            const prefix = config.discord.relay.prefix.replace('{name}', name);
+            const lines = ChatQueue.splitMessage(text, config.minecraft.chat.maxLength - prefix.length - 1);
+
+            if (lines.length > config.discord.relay.maxLines) {
+                lines.length = config.discord.relay.maxLines;
+                lines[lines.length - 1] = lines[lines.length - 1].substring(0, config.minecraft.chat.maxLength - prefix.length - 5) + '...';
+            }
+
+            for (const line of lines) {
+                await this.minecraftBot.sendChatMessage(`${prefix} ${line}`);
+            }
+            relayedMessages.inc({ direction: 'discord_to_minecraft', category: 'chat' });
+            logger.info(`Relayed Discord message from ${name} to Minecraft (${lines.length} line${lines.length > 1 ? 's' : ''})`);
+        } catch (error) {
+            logger.error('Failed to relay Discord message to Minecraft:', error.message || error);
+        }
+    }
+
+    formatRelayText(message) {
+        // cleanContent already resolves user, role and channel mentions to names
+        let text = message.cleanContent || '';
+
+        text = text
+            .replace(/<a?:(\w+):\d+>/g, ':$1:')
+            .replace(/<t:(\d+)(?::[tTdDfFR])?>/g, (match, seconds) =>
+                new Date(parseInt(seconds) * 1000).toLocaleString('en-US', { hour12: false }))
+            .replace(/\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*\u200D?/gu, (emoji) => {
+                const name = RELAY_EMOJI_NAMES[String.fromCodePoint(emoji.codePointAt(0))];
+                return name ? `:${name}:` : '';
+            });
+
+        const extras = [];
+        for (const attachment of message.attachments?.values() || []) {
+            const kind = attachment.contentType?.startsWith('image/') ? 'image' : 'file';
+            extras.push(`[${kind}: ${attachment.name}]`);
+        }
+        for (const sticker of message.stickers?.values() || []) {
+            extras.push(`[sticker: ${sticker.name}]`);
+        }
+
+        return this.sanitizeRelayText([text, ...extras].join(' '));
+    }
+
+    sanitizeRelayText(text) {
+        // Strip legacy formatting codes and anything the server would reject as an illegal character
+        return text
+            .replace(/§/g, '')
+            .replace(/[\u0000-\u001F\u007F]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // ========================================================================
+    // SERVER COMMANDS
+    // ========================================================================
+
+    isCommandAllowed(command) {
+        const normalized = command.replace(/^\//, '').replace(/\s+/g, ' ').toLowerCase();
+        return config.discord.commands.allowlist.some(prefix =>
+            normalized === prefix || normalized.startsWith(prefix + ' '));
+    }
+
+    formatCommandOutput(command, lines) {
+        const seconds = config.discord.commands.captureWindow / 1000;
+        if (lines.length === 0) {
+            return `📭 \`${command}\` sent - no response within ${seconds}s`;
+        }
+
+        const maxLines = config.discord.commands.maxLines;
+        const shown = lines.slice(0, maxLines).map(line => chatFormatter.stripLegacyCodes(line));
+        if (lines.length > maxLines) {
+            shown.push(`... ${lines.length - maxLines} more line${lines.length - maxLines === 1 ? '' : 's'}`);
+        }
+
+        // Keep well under Discord's 2000 character limit
+        let output = escapeCodeBlock(shown.join('\n'));
+        if (output.length > 1800) {
+            output = output.substring(0, 1800) + '\n...';
+        }
+        return `📟 \`${command}\`\n${codeBlock(output)}`;
+    }
+
+    // ========================================================================
+    // PLAYER SESSIONS
+    // ========================================================================
+
+    getPlayerSessions() {
+        if (!this.minecraftBot || !this.minecraftBot.sessions) {
+            throw new Error('Session tracking is not available');
+        }
+        return this.minecraftBot.sessions;
+    }
+
+    getPlayerStats() {
+        if (!this.minecraftBot || !this.minecraftBot.playerStats) {
+            throw new Error('Player stats are not available');
+        }
+        return this.minecraftBot.playerStats;
+    }
+
+    describePeriod(period) {
+        return PERIOD_CHOICES.find(choice => choice.value === period)?.name || 'All time';
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const mins = minutes % 60;
+
+        if (days > 0) return `${days}d ${hours}h ${mins}m`;
+        if (hours > 0) return `${hours}h ${mins}m`;
+        return `${mins}m`;
+    }
+
+    // ========================================================================
+    // ACCOUNT LINKING
+    // ========================================================================
+
+    async confirmAccountLink(link) {
+        let discordTag = link.discordId;
+        if (this.client) {
+            try {
+                const user = await this.client.users.fetch(link.discordId);
+                discordTag = user.tag;
+                await user.send(`🔗 Your Discord account is now linked to **${link.minecraftName}**`);
+            } catch (error) {
+                logger.debug('Failed to DM account link confirmation:', error.message);
+            }
+        }
+
+        if (this.minecraftBot && this.minecraftBot.isConnected) {
+            await this.minecraftBot.sendChatMessage(`/msg ${link.minecraftName} Linked to Discord account ${discordTag}`, { priority: 'high' }).catch(error => {
+                logger.debug('Failed to confirm account link in-game:', error.message);
+            });
+        }
+    }
+
+    getMentionedUsers(message) {
+        const discordIds = new Set();
+        for (const [, name] of message.matchAll(/@(\w{3,16})/g)) {
+            const discordId = this.accountLinks.getDiscordId(name);
+            if (discordId) {
+                discordIds.add(discordId);
+            }
+        }
+        return [...discordIds];
+    }
+
+    // ========================================================================
+    // WHISPER INBOX
+    // ========================================================================
+
+    async handleIncomingWhisper(player, message) {
+        const link = this.accountLinks.verify(player, message);
+        if (link) {
+            await this.confirmAccountLink(link);
+            return;
+        }
+
+        const botName = this.minecraftBot?.bot?.username || config.minecraft.username;
+        this.whisperInbox.record(player, 'in', player, message);
+
+        let thread = null;
+        if (this.isConnected && this.client) {
+            thread = await this.getWhisperThread(player).catch(error => {
+                logger.warn(`Failed to open whisper thread for ${player}:`, error.message);
+                return null;
+            });
+        }
+
+        if (!thread) {
+            await this.sendChatMessage(player, `**Whisper to ${botName}:** ${message}`, false, { category: 'whisper' });
+            return;
+        }
+
+        if (this.bridge && this.bridge.logChatMessage) {
+            this.bridge.logChatMessage(player, `**Whisper to ${botName}:** ${message}`, false);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0xEB459E)
+            .setAuthor({
+                name: player,
+                iconURL: `https://mc-heads.net/avatar/${player}/32`
+            })
+            .setDescription(`📩 ${message}`)
+            .setTimestamp();
+
+        await thread.send({ embeds: [embed] });
+    }
+
+    async getWhisperThread(player) {
+        const conversation = this.whisperInbox.get(player);
+
+        if (conversation?.threadId) {
+            const existing = await this.client.channels.fetch(conversation.threadId).catch(() => null);
+            if (existing) {
+                if (existing.archived) {
+                    await existing.setArchived(false, 'New whisper received');
+                }
+                return existing;
+            }
+            logger.warn(`Whisper thread for ${player} no longer exists, creating a new one`);
+        }
+
+        const parent = await this.resolveRoute(this.classifier.classifyPlayerMessage('', 'whisper'));
+        if (!parent || !parent.threads) {
+            return null;
+        }
+
+        const thread = await parent.threads.create({
+            name: `📩 ${player}`,
+            autoArchiveDuration: 1440,
+            reason: `Whisper inbox for ${player}`
+        });
+        this.whisperInbox.setThread(player, thread.id);
+        logger.info(`Created whisper thread for ${player}: #${thread.name}`);
+
+        // Carry over earlier messages when the previous thread was deleted
+        const history = (conversation?.history || []).slice(-config.discord.whispers.recapLines - 1, -1);
+        const recap = history.map(entry => `${entry.direction === 'in' ? '📩' : '📤'} **${entry.author}:** ${entry.message}`).join('\n');
+
+        await thread.send({
+            content: `Whispers from **${player}** land here. Reply in this thread to answer in-game with \`/msg ${player}\`.` +
+                (recap ? `\n\n**Earlier messages:**\n${recap}`.substring(0, 1800) : '')
+        });
+
+        return thread;
+    }
+
+    async handleWhisperReply(message, player) {
+        if (!this.minecraftBot || !this.minecraftBot.isConnected) {
+            await message.reply('❌ Bot is not connected to Minecraft server - reply not sent').catch(() => {});
+            return;
+        }
+
+        const text = this.formatRelayText(message);
+        if (!text) return;
+
+        const prefix = `/msg ${player}`;
+        const lines = ChatQueue.splitMessage(text, config.minecraft.chat.maxLength - prefix.length - 1);
+
+        for (const line of lines) {
+            await this.minecraftBot.sendChatMessage(`${prefix} ${line}`, { priority: 'high' });
+        }
+        relayedMessages.inc({ direction: 'discord_to_minecraft', category: 'whisper' });
+
+        const author = message.member?.displayName || message.author.username;
+        this.whisperInbox.record(player, 'out', author, text);
+        await message.react('✅').catch(() => {});
+        logger.info(`${author} replied to whisper from ${player}`);
+    }
+
     // ========================================================================
     // SLASH COMMAND HANDLING
     // ========================================================================
@@ -926,8 +1601,14 @@ class DiscordClient {
         const { commandName } = interaction;
         const startTime = Date.now();
 
-        const requiresConnection = ['message', 'walk', 'location', 'health', 'jump', 'look', 'stop'];
+        // Filled in by the command and written to the audit log once it finishes
+        const audit = this.isAuditedCommand(interaction) ? { result: 'success', detail: null } : null;
+
+        const requiresConnection = ['message', 'cmd', 'walk', 'location', 'health', 'jump', 'look', 'stop'];
         if (requiresConnection.includes(commandName) && (!this.minecraftBot || !this.minecraftBot.isConnected || !this.minecraftBot.bot)) {
+            if (audit) {
+                this.recordAudit(interaction, 'discord-command', commandName, this.getCommandArgs(interaction), 'failed', 'Bot is not connected');
+            }
             return await interaction.reply({ 
                 content: '❌ Bot is not connected to Minecraft server', 
                 ephemeral: true 
@@ -938,15 +1619,35 @@ class DiscordClient {
             switch (commandName) {
                 case 'message': {
                     const content = interaction.options.getString('content');
+
+                    // The chat queue may hold the message for a while, so don't let the interaction time out
+                    await interaction.deferReply({ ephemeral: true });
                     await this.minecraftBot.sendChatMessage(content);
-                    await interaction.reply({ 
-                        content: `📨 Message sent: "${content}"`, 
-                        ephemeral: true 
+                    await interaction.editReply({ 
+                        content: `📨 Message sent: "${content}"`
                     });
                     logger.info(`Discord user sent message to Minecraft: "${content}"`);
                     break;
                 }
 
+                case 'cmd': {
+                    const command = '/' + interaction.options.getString('command').trim().replace(/^\/+/, '');
+                    if (!this.isCommandAllowed(command)) {
+                        audit.result = 'denied';
+                        audit.detail = 'Command is not on the allowlist';
+                        return await interaction.reply({ 
+                            content: `❌ That command is not allowed. Allowed prefixes: ${config.discord.commands.allowlist.map(p => `\`/${p}\``).join(', ')}`, 
+                            ephemeral: true 
+                        });
+                    }
+
+                    await interaction.deferReply({ ephemeral: true });
+                    const lines = await this.minecraftBot.runCommand(command);
+                    await interaction.editReply({ content: this.formatCommandOutput(command, lines) });
+                    logger.info(`${interaction.user.tag} ran command "${command}" (${lines.length} line${lines.length === 1 ? '' : 's'} captured)`);
+                    break;
+                }
+
                 case 'walk': {
                     const blocks = interaction.options.getInteger('blocks');
                     await this.minecraftBot.walkForward(blocks);
@@ -978,6 +1679,7 @@ class DiscordClient {
                     const displayUsername = bot?.detectedUsername || bot?.bot?.username || config.minecraft.username || 'Unknown';
                     const position = bot?.bot?.entity?.position;
                     const dimension = bot?.bot?.game?.dimension || 'Unknown';
+                    const chatStats = bot?.chatQueue?.getStats();
                     
                     const embed = new EmbedBuilder()
                         .setColor(isOnline ? 0x2ECC71 : 0xE74C3C)
@@ -994,7 +1696,7 @@ class DiscordClient {
                             },
                             { 
                                 name: 'Connection', 
-                                value: `**Status:** ${isOnline ? 'Online' : 'Offline'}\n**Players:** ${playerCount}\n**Reconnect Attempts:** ${bot?.reconnectAttempts || 0}`, 
+                                value: `**Status:** ${isOnline ? 'Online' : 'Offline'}\n**Players:** ${playerCount}\n**Reconnect Attempts:** ${bot?.reconnectAttempts || 0}\n**Chat Queue:** ${chatStats ? `${chatStats.depth} waiting, ${chatStats.dropped.total} dropped` : 'N/A'}`, 
                                 inline: true 
                             },
                             { 
@@ -1041,9 +1743,14 @@ class DiscordClient {
                         .setTitle('🎮 Bot Commands')
                         .setDescription('Here are all the available commands:')
                         .addFields(
-                            { name: '💬 Chat Commands', value: '`/message` - Send a message to the server', inline: false },
+                            { name: '💬 Chat Commands', value: '`/message` - Send a message to the server\n`/cmd` - Run a server command and see its response\nMessages typed in the logs channel are relayed in-game', inline: false },
                             { name: '🚶 Movement Commands', value: '`/walk` - Walk forward\n`/jump` - Jump in place\n`/look` - Look in a direction\n`/stop` - Stop all movement', inline: false },
                             { name: '📊 Information Commands', value: '`/players` - Show online players\n`/status` - Show bot status\n`/ping` - Check connectivity\n`/location` - Show bot position\n`/health` - Show bot health', inline: false },
+                            { name: '🔔 Alert Commands', value: '`/alert add` - DM me when chat matches a keyword\n`/alert remove` - Remove an alert\n`/alert list` - Show your alerts', inline: false },
+                            { name: '⏱️ Activity Commands', value: '`/seen` - When a player was last online\n`/playtime` - How long a player has played\n`/leaderboard playtime` - Most active players', inline: false },
+                            { name: '📈 Stats Commands', value: '`/stats population` - Chart of online player count\n`/deaths` - How a player has died\n`/top deaths` - Players who have died the most\n`/advancements` - Advancements a player has made', inline: false },
+                            { name: '🛠️ Ops Commands', value: '`/ops level` - Set which warnings and errors reach the ops channel\n`/ops status` - Show ops alert settings\n`/audit` - Recent control actions and who took them\n`/token create|list|revoke` - Manage REST API tokens', inline: false },
+                            { name: '🔗 Account Commands', value: '`/link` - Link your Minecraft account\n`/unlink` - Remove your account link', inline: false },
                             { name: '❓ Utility Commands', value: '`/help` - Show this help message', inline: false }
                         )
                         .setFooter({ text: 'Use these commands to control the Minecraft bot!' })
@@ -1124,6 +1831,351 @@ class DiscordClient {
                     break;
                 }
 
+                case 'alert': {
+                    const subcommand = interaction.options.getSubcommand();
+                    const userId = interaction.user.id;
+
+                    if (subcommand === 'add') {
+                        const subscription = this.alertSubscriptions.add(userId, {
+                            pattern: interaction.options.getString('pattern'),
+                            isRegex: interaction.options.getBoolean('regex') || false,
+                            sender: interaction.options.getString('sender'),
+                            type: interaction.options.getString('type') || 'any'
+                        });
+                        await interaction.reply({ 
+                            content: `🔔 Alert #${subscription.id} added: ${this.describeAlert(subscription)}`, 
+                            ephemeral: true 
+                        });
+                    } else if (subcommand === 'remove') {
+                        const id = interaction.options.getInteger('id');
+                        const removed = this.alertSubscriptions.remove(userId, id);
+                        await interaction.reply({ 
+                            content: removed ? `🔕 Alert #${id} removed` : `❌ You have no alert with ID ${id}`, 
+                            ephemeral: true 
+                        });
+                    } else {
+                        const subscriptions = this.alertSubscriptions.list(userId);
+                        const embed = new EmbedBuilder()
+                            .setColor(0x0099FF)
+                            .setTitle('🔔 Your Alerts')
+                            .setDescription(subscriptions.length > 0
+                                ? subscriptions.map(sub => `**#${sub.id}** ${this.describeAlert(sub)}`).join('\n')
+                                : 'You have no alerts. Use `/alert add` to create one.')
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    break;
+                }
+
+                case 'seen': {
+                    const name = interaction.options.getString('player');
+                    const seen = this.getPlayerSessions().getSeen(name);
+                    if (!seen) {
+                        return await interaction.reply({ content: `❌ No sessions recorded for **${name}**`, ephemeral: true });
+                    }
+
+                    const lastSeen = Math.floor(new Date(seen.lastSeen).getTime() / 1000);
+                    const since = Math.floor(new Date(seen.since).getTime() / 1000);
+                    const embed = new EmbedBuilder()
+                        .setColor(seen.online ? 0x2ECC71 : 0x95A5A6)
+                        .setAuthor({ name: seen.name, iconURL: `https://mc-heads.net/avatar/${seen.name}/32` })
+                        .setDescription(seen.online
+                            ? `🟢 Online now - joined <t:${since}:R>`
+                            : `⚫ Last seen <t:${lastSeen}:R> (<t:${lastSeen}:f>)${seen.approximate ? '\n*The bot went offline while they were on, so they may have left later*' : ''}`)
+                        .addFields(
+                            { name: 'First Seen', value: `<t:${Math.floor(new Date(seen.firstSeen).getTime() / 1000)}:D>`, inline: true },
+                            { name: 'Sessions', value: `${seen.sessionCount}`, inline: true }
+                        )
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'playtime': {
+                    const name = interaction.options.getString('player');
+                    const period = interaction.options.getString('period') || 'all';
+                    const result = this.getPlayerSessions().getPlaytime(name, period);
+                    if (!result) {
+                        return await interaction.reply({ content: `❌ No sessions recorded for **${name}**`, ephemeral: true });
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setColor(0x3498DB)
+                        .setAuthor({ name: result.name, iconURL: `https://mc-heads.net/avatar/${result.name}/32` })
+                        .setTitle(`⏱️ Playtime - ${this.describePeriod(period)}`)
+                        .setDescription(`**${this.formatDuration(result.playtime)}** over ${result.sessionCount} session${result.sessionCount === 1 ? '' : 's'}`)
+                        .setTimestamp();
+
+                    if (result.botOffline > 0) {
+                        embed.setFooter({ text: `The bot was offline for ${this.formatDuration(result.botOffline)} of this period, so playtime may be higher` });
+                    }
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'leaderboard': {
+                    const period = interaction.options.getString('period') || 'all';
+                    const leaders = this.getPlayerSessions().getLeaderboard(period, 10);
+                    const medals = ['🥇', '🥈', '🥉'];
+
+                    const embed = new EmbedBuilder()
+                        .setColor(0xF1C40F)
+                        .setTitle(`🏆 Playtime Leaderboard - ${this.describePeriod(period)}`)
+                        .setDescription(leaders.length > 0
+                            ? leaders.map((leader, i) => `${medals[i] || `**${i + 1}.**`} ${leader.name} - ${this.formatDuration(leader.playtime)}`).join('\n')
+                            : 'No playtime recorded yet')
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'stats': {
+                    const range = interaction.options.getString('range') || 'day';
+                    const population = this.minecraftBot?.population;
+                    if (!population) {
+                        throw new Error('Population history is not available');
+                    }
+
+                    const series = population.getSeries(range);
+                    const summary = population.getSummary(range);
+                    const rangeName = RANGE_CHOICES.find(choice => choice.value === range).name;
+                    if (series.points.length === 0) {
+                        return await interaction.reply({ content: `📭 No population data for ${rangeName.toLowerCase()} yet`, ephemeral: true });
+                    }
+
+                    const chart = new AttachmentBuilder(chartRenderer.renderPopulationChart(series, summary), { name: 'population.png' });
+                    const peakTime = Math.floor(summary.peak.t / 1000);
+                    const embed = new EmbedBuilder()
+                        .setColor(0x5865F2)
+                        .setTitle(`📈 Server Population - ${rangeName}`)
+                        .addFields(
+                            { name: 'Peak', value: `${summary.peak.count} players (<t:${peakTime}:f>)`, inline: true },
+                            { name: 'Average', value: `${summary.average} players`, inline: true }
+                        )
+                        .setImage('attachment://population.png')
+                        .setFooter({ text: `Blue: average • Band: min-max${range !== 'day' ? ' • Yellow: daily average' : ''} • Red: peak` })
+                        .setTimestamp();
+
+                    if (range !== 'day' && summary.daily.length > 0) {
+                        // Most recent days first, within the embed field limit
+                        const days = summary.daily.slice(-7).reverse()
+                            .map(daily => `\`${daily.day}\` avg **${daily.average}**, peak **${daily.peak}**`);
+                        embed.addFields({ name: 'Daily Averages', value: days.join('\n'), inline: false });
+                    }
+
+                    await interaction.reply({ embeds: [embed], files: [chart], ephemeral: true });
+                    break;
+                }
+
+                case 'ops': {
+                    if (!interaction.memberPermissions?.has('Administrator') && !interaction.memberPermissions?.has('ManageGuild')) {
+                        if (audit) {
+                            audit.result = 'denied';
+                            audit.detail = 'Missing Administrator or Manage Server permission';
+                        }
+                        return await interaction.reply({ content: '❌ You need Administrator or Manage Server permissions to change ops alerts', ephemeral: true });
+                    }
+
+                    if (interaction.options.getSubcommand() === 'level') {
+                        const level = interaction.options.getString('level');
+                        this.opsAlerts.setLevel(level);
+                        logger.info(`${interaction.user.username} set the ops alert level to ${level}`);
+                    }
+
+                    const stats = this.opsAlerts.getStats();
+                    await interaction.reply({
+                        content: `🛠️ Ops alerts: **${stats.level}** → ${this.channels.ops ? `<#${this.channels.ops.id}>` : 'no channel configured (`DISCORD_OPS_CHANNEL_ID`)'}\n` +
+                            `Sent in the last minute: ${stats.sentLastMinute}/${stats.maxPerMinute} • Waiting: ${stats.pending} • Dropped: ${stats.suppressed}`,
+                        ephemeral: true
+                    });
+                    break;
+                }
+
+                case 'token': {
+                    if (!interaction.memberPermissions?.has('Administrator') && !interaction.memberPermissions?.has('ManageGuild')) {
+                        if (audit) {
+                            audit.result = 'denied';
+                            audit.detail = 'Missing Administrator or Manage Server permission';
+                        }
+                        return await interaction.reply({ content: '❌ You need Administrator or Manage Server permissions to manage API tokens', ephemeral: true });
+                    }
+
+                    const apiTokens = this.bridge?.apiTokens;
+                    if (!apiTokens) {
+                        throw new Error('API tokens are not available');
+                    }
+
+                    const subcommand = interaction.options.getSubcommand();
+                    if (subcommand === 'create') {
+                        const scopes = interaction.options.getString('scopes').split(/[\s,]+/).filter(Boolean);
+                        const { token, record } = apiTokens.create(
+                            interaction.options.getString('name'),
+                            scopes,
+                            { type: 'discord', id: interaction.user.id, name: interaction.user.username }
+                        );
+                        await interaction.reply({
+                            content: `🔑 Created token **${record.name}** (\`${record.id}\`) with ${record.scopes.map(scope => `\`${scope}\``).join(', ')}\n` +
+                                `Copy it now - it won't be shown again:\n${codeBlock(token)}`,
+                            ephemeral: true
+                        });
+                    } else if (subcommand === 'revoke') {
+                        const record = apiTokens.revoke(interaction.options.getString('id'));
+                        if (!record) {
+                            audit.result = 'failed';
+                            audit.detail = 'No token with that ID';
+                            return await interaction.reply({ content: '❌ No API token with that ID', ephemeral: true });
+                        }
+                        await interaction.reply({ content: `🗑️ Revoked token **${record.name}** (\`${record.id}\`)`, ephemeral: true });
+                    } else {
+                        const tokens = apiTokens.list();
+                        const lines = tokens.map(token => {
+                            const lastUsed = token.lastUsedAt ? `<t:${Math.floor(new Date(token.lastUsedAt).getTime() / 1000)}:R>` : 'never';
+                            return `\`${token.id}\` **${token.name}** - ${token.scopes.join(', ')} • used ${lastUsed} • by ${token.createdBy.name}`;
+                        });
+                        await interaction.reply({ content: lines.length > 0 ? `🔑 **API tokens**\n${lines.join('\n')}`.substring(0, 2000) : '📭 No API tokens yet', ephemeral: true });
+                    }
+                    break;
+                }
+
+                case 'audit': {
+                    if (!interaction.memberPermissions?.has('Administrator') && !interaction.memberPermissions?.has('ManageGuild')) {
+                        return await interaction.reply({ content: '❌ You need Administrator or Manage Server permissions to view the audit log', ephemeral: true });
+                    }
+
+                    const auditLog = this.bridge?.auditLog;
+                    if (!auditLog) {
+                        throw new Error('Audit log is not available');
+                    }
+
+                    const { entries } = auditLog.query({
+                        actor: interaction.options.getString('actor'),
+                        action: interaction.options.getString('action'),
+                        limit: interaction.options.getInteger('limit') || 15
+                    });
+                    const icons = { success: '✅', denied: '🚫', failed: '❌' };
+                    const lines = entries.map(entry => {
+                        const args = Object.entries(entry.args || {}).map(([key, value]) => `${key}=${value}`).join(' ');
+                        const source = entry.source === 'web' ? '🌐' : '💬';
+                        const line = `${icons[entry.result] || '•'} <t:${Math.floor(new Date(entry.time).getTime() / 1000)}:R> ${source} **${entry.actor.name}** \`${entry.action}${args ? ` ${args}` : ''}\``;
+                        return entry.detail && entry.result !== 'success' ? `${line} - ${entry.detail}` : line;
+                    });
+
+                    let description = lines.join('\n') || 'No matching audit log entries';
+                    if (description.length > 4000) {
+                        description = description.substring(0, 4000) + '\n...';
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setColor(0x34495E)
+                        .setTitle('🛡️ Audit Log')
+                        .setDescription(description)
+                        .setFooter({ text: '💬 Discord • 🌐 Web dashboard/API' })
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'deaths': {
+                    const name = interaction.options.getString('player');
+                    const stats = this.getPlayerStats();
+                    const player = stats.get(name);
+                    if (!player || player.deaths === 0) {
+                        return await interaction.reply({ content: `❌ No deaths recorded for **${name}**`, ephemeral: true });
+                    }
+
+                    const formatCounts = (counts) => stats.getTopCounts(counts, 5)
+                        .map(entry => `${entry.name} - **${entry.count}**`).join('\n') || 'None';
+                    const embed = new EmbedBuilder()
+                        .setColor(0xE74C3C)
+                        .setAuthor({ name: player.name, iconURL: `https://mc-heads.net/avatar/${player.name}/32` })
+                        .setTitle(`💀 ${player.deaths} death${player.deaths === 1 ? '' : 's'}`)
+                        .addFields(
+                            { name: 'Causes', value: formatCounts(player.causes), inline: true },
+                            { name: 'Killers', value: formatCounts(player.killers), inline: true },
+                            { name: 'Player Kills', value: `${player.kills}`, inline: true }
+                        )
+                        .setTimestamp();
+
+                    if (player.lastDeath) {
+                        const lastDeath = Math.floor(new Date(player.lastDeath.at).getTime() / 1000);
+                        embed.addFields({ name: 'Last Death', value: `${player.lastDeath.message} (<t:${lastDeath}:R>)`, inline: false });
+                    }
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'top': {
+                    const leaders = this.getPlayerStats().getLeaderboard('deaths', 10);
+                    const medals = ['🥇', '🥈', '🥉'];
+
+                    const embed = new EmbedBuilder()
+                        .setColor(0xE74C3C)
+                        .setTitle('💀 Most Deaths')
+                        .setDescription(leaders.length > 0
+                            ? leaders.map((leader, i) => `${medals[i] || `**${i + 1}.**`} ${leader.name} - ${leader.count}`).join('\n')
+                            : 'No deaths recorded yet')
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'advancements': {
+                    const name = interaction.options.getString('player');
+                    const player = this.getPlayerStats().get(name);
+                    if (!player || player.advancements.length === 0) {
+                        return await interaction.reply({ content: `❌ No advancements recorded for **${name}**`, ephemeral: true });
+                    }
+
+                    const icons = { task: '🏅', goal: '🎯', challenge: '🏆' };
+                    // Most recent first, within the embed description limit
+                    const recent = player.advancements.slice(-15).reverse()
+                        .map(advancement => `${icons[advancement.category] || '🏅'} ${advancement.name} - <t:${Math.floor(new Date(advancement.at).getTime() / 1000)}:R>`);
+
+                    const embed = new EmbedBuilder()
+                        .setColor(0x2ECC71)
+                        .setAuthor({ name: player.name, iconURL: `https://mc-heads.net/avatar/${player.name}/32` })
+                        .setTitle(`🏅 ${player.advancements.length} advancement${player.advancements.length === 1 ? '' : 's'}`)
+                        .setDescription(recent.join('\n'))
+                        .setTimestamp();
+
+                    if (player.advancements.length > recent.length) {
+                        embed.setFooter({ text: `Showing the ${recent.length} most recent` });
+                    }
+
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                case 'link': {
+                    const minecraftName = interaction.options.getString('minecraft-name');
+                    const code = this.accountLinks.createCode(interaction.user.id, minecraftName);
+                    const botName = this.minecraftBot?.detectedUsername || config.minecraft.username;
+                    const expiryMinutes = Math.round(config.discord.linking.codeExpiry / 60000);
+
+                    await interaction.reply({ 
+                        content: `🔗 To link **${minecraftName}**, log in as that player and run this in-game within ${expiryMinutes} minutes:\n\`/msg ${botName} ${code}\``, 
+                        ephemeral: true 
+                    });
+                    break;
+                }
+
+                case 'unlink': {
+                    const minecraftName = this.accountLinks.getMinecraftName(interaction.user.id);
+                    const removed = this.accountLinks.unlink(interaction.user.id);
+                    await interaction.reply({ 
+                        content: removed ? `🔓 Unlinked from **${minecraftName}**` : '❌ Your account is not linked', 
+                        ephemeral: true 
+                    });
+                    break;
+                }
+
                 default:
                     await interaction.reply({ 
                         content: '❌ Unknown command', 
@@ -1133,6 +2185,10 @@ class DiscordClient {
         } catch (error) {
             logger.error(`Failed to execute command ${commandName}:`, error);
             const errorMessage = error.message || 'An unknown error occurred';
+            if (audit) {
+                audit.result = 'failed';
+                audit.detail = errorMessage;
+            }
             
             if (interaction.replied || interaction.deferred) {
                 await interaction.followUp({ 
@@ -1145,6 +2201,54 @@ class DiscordClient {
                     ephemeral: true 
                 });
             }
+        } finally {
+            if (audit) {
+                this.recordAudit(interaction, 'discord-command', commandName, this.getCommandArgs(interaction), audit.result, audit.detail);
+            }
+        }
+    }
+
+    // ========================================================================
+    // AUDIT LOG
+    // ========================================================================
+
+    isAuditedCommand(interaction) {
+        if (!AUDITED_COMMANDS.includes(interaction.commandName)) return false;
+        const readOnly = READ_ONLY_SUBCOMMANDS[interaction.commandName] || [];
+        return !readOnly.includes(interaction.options.getSubcommand(false));
+    }
+
+    // Flattens subcommands into { subcommand, ...options }
+    getCommandArgs(interaction) {
+        const args = {};
+        for (const option of interaction.options.data) {
+            if (option.options) {
+                args.subcommand = option.name;
+                for (const nested of option.options) {
+                    args[nested.name] = nested.value;
+                }
+            } else {
+                args[option.name] = option.value;
+            }
+        }
+        return args;
+    }
+
+    recordAudit(interaction, source, action, args, result, detail = null) {
+        const auditLog = this.bridge?.auditLog;
+        if (!auditLog) return;
+
+        try {
+            auditLog.record({
+                actor: { type: 'discord', id: interaction.user.id, name: interaction.user.username },
+                source,
+                action,
+                args,
+                result,
+                detail
+            });
+        } catch (error) {
+            logger.error('Failed to record audit log entry:', error);
         }
     }
 
@@ -1239,25 +2343,103 @@ class DiscordClient {
                 }
             }
 
+            logger.removeTransport(this.opsAlerts);
+            this.opsAlerts.stop();
             this.client.destroy();
             this.isConnected = false;
         }
+
+        this.classifier.close();
+    }
+
+    // ========================================================================
+    // OPS ALERTS
+    // ========================================================================
+
+    async sendOpsAlert(alert) {
+        if (!this.channels.ops || !this.isConnected) {
+            throw new Error('Ops channel is not available');
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(alert.level === 'error' ? 0xE74C3C : 0xF39C12)
+            .setTitle(`${alert.level === 'error' ? '❌ Error' : '⚠️ Warning'}${alert.count > 1 ? ` ×${alert.count}` : ''}`)
+            .setDescription(alert.message.substring(0, 4000))
+            .setTimestamp(new Date(alert.lastAt));
+
+        if (alert.error) {
+            const detail = alert.error.stack || `${alert.error.name}: ${alert.error.message}`;
+            embed.addFields({ name: 'Error', value: codeBlock(escapeCodeBlock(detail.substring(0, 1000))), inline: false });
+        }
+
+        const footer = [alert.module, `instance ${alert.instanceId}`];
+        if (alert.count > 1) {
+            footer.push(`first seen ${new Date(alert.firstAt).toLocaleTimeString('en-US', { hour12: false })}`);
+        }
+        if (alert.suppressed > 0) {
+            footer.push(`${alert.suppressed} earlier alert${alert.suppressed === 1 ? '' : 's'} dropped by the rate limit`);
+        }
+        embed.setFooter({ text: footer.filter(Boolean).join(' • ') });
+
+        await this.channels.ops.send({ embeds: [embed] });
     }
 
-    async sendKeywordAlert(sender, message, userId) {
+    // ========================================================================
+    // KEYWORD ALERTS
+    // ========================================================================
+
+    checkKeywordAlerts(sender, message, isServerMessage) {
+        const line = this.alertSubscriptions.recordLine(sender, message, isServerMessage);
+        const matches = this.alertSubscriptions.findMatches(line);
+        if (matches.length === 0) return;
+
+        // Wait briefly so the DM can include the lines that follow the match
+        setTimeout(() => {
+            const context = this.alertSubscriptions.getContext(line);
+            for (const { userId, subscription } of matches) {
+                this.sendKeywordAlert(userId, subscription, line, context);
+            }
+        }, config.discord.alerts.contextDelay);
+    }
+
+    describeAlert(subscription) {
+        const filters = [];
+        if (subscription.sender) filters.push(`from ${subscription.sender}`);
+        if (subscription.type !== 'any') filters.push(`${subscription.type} messages only`);
+        const pattern = subscription.isRegex ? `regex \`${subscription.pattern}\`` : `\`${subscription.pattern}\``;
+        return filters.length > 0 ? `${pattern} (${filters.join(', ')})` : pattern;
+    }
+
+    async sendKeywordAlert(userId, subscription, line, context) {
         try {
             if (!this.client) {
                 logger.warn('Cannot send DM - Discord client not available');
                 return;
             }
 
+            const formatLine = (l) => l.isServerMessage || !l.sender ? l.message : `<${l.sender}> ${l.message}`;
+            const transcript = [
+                ...context.before.map(l => `  ${formatLine(l)}`),
+                `> ${formatLine(line)}`,
+                ...context.after.map(l => `  ${formatLine(l)}`)
+            ].join('\n');
+
+            const embed = new EmbedBuilder()
+                .setColor(0xF1C40F)
+                .setTitle('🔔 Keyword Alert')
+                .setDescription(codeBlock(escapeCodeBlock(transcript).substring(0, 3900)))
+                .addFields(
+                    { name: 'Alert', value: `#${subscription.id} ${this.describeAlert(subscription)}`, inline: true },
+                    { name: 'Sender', value: line.sender || 'Server', inline: true }
+                )
+                .setTimestamp(line.timestamp)
+                .setFooter({ text: `${config.minecraft.host} • /alert remove ${subscription.id} to stop` });
+
             const user = await this.client.users.fetch(userId);
-            const messageLink = `Message from **${sender}**: ${message}`;
-            
-            await user.send(messageLink);
-            logger.info(`Keyword alert sent to user ${userId}: ${sender} mentioned keywords`);
+            await user.send({ embeds: [embed] });
+            logger.info(`Keyword alert #${subscription.id} sent to user ${userId}`);
         } catch (error) {
-            logger.error('Failed to send keyword alert DM:', error);
+            logger.error('Failed to send keyword alert DM:', error.message || error);
         }
     }
 }
@@ -1,7 +1,7 @@
 const MinecraftBot = require('./minecraft-bot');
 const DiscordClient = require('./discord-client');
 const config = require('./config');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'index' });
 
 class MinecraftDiscordBridge {
     constructor() {
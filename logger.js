@@ -1,26 +1,142 @@
+const fs = require('fs');
+const path = require('path');
 const config = require('./config');
 
+const LEVELS = {
+    'error': 0,
+    'warn': 1,
+    'info': 2,
+    'debug': 3
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// LOG FILE (module-private)
+// ============================================================================
+
+// JSON lines, one file per day or a new file whenever the current one fills up
+class LogFile {
+    constructor(options) {
+        this.directory = options.directory;
+        this.rotation = options.rotation;
+        this.maxSize = options.maxSize;
+        this.retentionDays = options.retentionDays;
+
+        this.currentPath = null;
+        this.currentDay = null;
+        this.currentSize = 0;
+    }
+
+    write(entry) {
+        try {
+            if (!fs.existsSync(this.directory)) {
+                fs.mkdirSync(this.directory, { recursive: true });
+            }
+
+            const line = JSON.stringify(entry) + '\n';
+            this.rotateIfNeeded(Buffer.byteLength(line));
+
+            fs.appendFileSync(this.currentPath, line, 'utf8');
+            this.currentSize += Buffer.byteLength(line);
+        } catch (error) {
+            // Can't log a logging failure through the logger itself
+            console.error(`❌ Failed to write log file: ${error.message}`);
+        }
+    }
+
+    rotateIfNeeded(nextLength) {
+        if (this.rotation === 'size') {
+            if (this.currentPath === null) {
+                this.currentPath = path.join(this.directory, 'atommc.jsonl');
+                this.currentSize = fs.existsSync(this.currentPath) ? fs.statSync(this.currentPath).size : 0;
+            }
+            if (this.currentSize > 0 && this.currentSize + nextLength > this.maxSize) {
+                const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+                fs.renameSync(this.currentPath, path.join(this.directory, `atommc-${stamp}.jsonl`));
+                this.currentSize = 0;
+                this.prune();
+            }
+            return;
+        }
+
+        const day = new Date().toISOString().substring(0, 10);
+        if (day !== this.currentDay) {
+            this.currentDay = day;
+            this.currentPath = path.join(this.directory, `atommc-${day}.jsonl`);
+            this.currentSize = fs.existsSync(this.currentPath) ? fs.statSync(this.currentPath).size : 0;
+            this.prune();
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!/^atommc-.+\.jsonl$/.test(file)) continue;
+
+            const filePath = path.join(this.directory, file);
+            if (fs.statSync(filePath).mtimeMs < cutoff) {
+                fs.unlinkSync(filePath);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// LOGGER CLASS
+// ============================================================================
+
 class Logger {
-    constructor() {
-        this.logLevel = this.getLogLevel(config.logging.level);
-        this.enableConsole = config.logging.console;
+    // Child loggers share the root's level and log file and only add context fields
+    constructor(context = {}, root = null) {
+        this.context = context;
+        this.root = root || this;
+
+        if (!root) {
+            this.logLevel = this.getLogLevel(config.logging.level);
+            this.enableConsole = config.logging.console;
+            // Extra destinations such as the Discord ops channel: { level, log(entry) }
+            this.transports = [];
+            this.file = config.logging.file.enabled
+                ? new LogFile({
+                    directory: config.logging.file.directory || path.join('./cache', `logs-${config.discord.instanceId}`),
+                    rotation: config.logging.file.rotation,
+                    maxSize: config.logging.file.maxSize,
+                    retentionDays: config.logging.file.retentionDays
+                })
+                : null;
+        }
+    }
+
+    child(context) {
+        return new Logger({ ...this.context, ...context }, this.root);
+    }
+
+    addTransport(transport) {
+        if (!this.root.transports.includes(transport)) {
+            this.root.transports.push(transport);
+        }
+    }
+
+    removeTransport(transport) {
+        this.root.transports = this.root.transports.filter(existing => existing !== transport);
+    }
+
+    // For context that changes over time, like the current connection attempt
+    setContext(context) {
+        Object.assign(this.context, context);
     }
 
     getLogLevel(level) {
-        const levels = {
-            'error': 0,
-            'warn': 1,
-            'info': 2,
-            'debug': 3
-        };
-        return levels[level.toLowerCase()] || 2;
+        return LEVELS[level.toLowerCase()] ?? 2;
     }
 
     formatMessage(level, message, ...args) {
         const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false });
-        const formattedArgs = args.map(arg => 
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
-        );
+        const formattedArgs = args.map(arg => {
+            if (arg instanceof Error) return arg.stack || `${arg.name}: ${arg.message}`;
+            return typeof arg === 'object' && arg !== null ? this.stringify(arg, 2) : arg;
+        });
         const levelEmoji = {
             'ERROR': '❌',
             'WARN': '⚠️',
@@ -30,11 +146,90 @@ class Logger {
         return `${levelEmoji[level.toUpperCase()] || '✓'} [${timestamp}] ${message}${formattedArgs.length > 0 ? ' ' + formattedArgs.join(' ') : ''}`;
     }
 
+    // Primitive arguments join the message as on the console; objects and errors get their own fields
+    createEntry(level, message, args) {
+        const text = [message];
+        const data = [];
+        let error = null;
+
+        for (const arg of args) {
+            if (arg instanceof Error && !error) {
+                error = this.serializeError(arg);
+            } else if (arg instanceof Error) {
+                data.push(this.serializeError(arg));
+            } else if (typeof arg === 'object' && arg !== null) {
+                data.push(JSON.parse(this.stringify(arg)));
+            } else {
+                text.push(String(arg));
+            }
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...this.context,
+            message: text.join(' ')
+        };
+        if (data.length > 0) entry.data = data.length === 1 ? data[0] : data;
+        if (error) entry.error = error;
+        return entry;
+    }
+
+    serializeError(error) {
+        const serialized = {
+            name: error.name,
+            message: error.message,
+            stack: error.stack
+        };
+        // Keep extra fields like code, errno or status without dragging along sockets and requests
+        for (const [key, value] of Object.entries(error)) {
+            if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+                serialized[key] = value;
+            }
+        }
+        if (error.cause !== undefined) {
+            serialized.cause = error.cause instanceof Error ? this.serializeError(error.cause) : error.cause;
+        }
+        return serialized;
+    }
+
+    // JSON.stringify that survives circular references and BigInts
+    stringify(value, indent) {
+        const seen = new WeakSet();
+        return JSON.stringify(value, (key, item) => {
+            if (typeof item === 'bigint') return item.toString();
+            if (item instanceof Error) return this.serializeError(item);
+            if (typeof item === 'object' && item !== null) {
+                if (seen.has(item)) return '[Circular]';
+                seen.add(item);
+            }
+            return item;
+        }, indent) ?? String(value);
+    }
+
     log(level, levelNum, message, ...args) {
-        if (levelNum <= this.logLevel && this.enableConsole) {
+        const root = this.root;
+        // Transports have their own level, so may want entries the console doesn't
+        const transports = root.transports.filter(transport => levelNum <= transport.level);
+        if (levelNum > root.logLevel && transports.length === 0) return;
+
+        if (levelNum <= root.logLevel && root.enableConsole) {
             const formattedMessage = this.formatMessage(level, message, ...args);
             console.log(formattedMessage);
         }
+
+        const entry = root.file || transports.length > 0 ? this.createEntry(level, message, args) : null;
+        if (levelNum <= root.logLevel && root.file) {
+            root.file.write(entry);
+        }
+
+        for (const transport of transports) {
+            try {
+                transport.log(entry);
+            } catch (error) {
+                console.error(`❌ Log transport failed: ${error.message}`);
+            }
+        }
     }
 
     error(message, ...args) {
@@ -54,4 +249,4 @@ class Logger {
     }
 }
 
-module.exports = new Logger();
+module.exports = new Logger({ instanceId: config.discord.instanceId });
@@ -0,0 +1,53 @@
+const config = require('./config');
+
+// ============================================================================
+// LOGIN LIMITER CLASS
+// ============================================================================
+
+// Counts failed logins per client; once maxAttempts fail within the window the
+// client is locked out until the oldest of those failures ages out
+class LoginLimiter {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts ?? config.web.login.maxAttempts;
+        this.window = options.window ?? config.web.login.window;
+        this.failures = new Map();
+    }
+
+    // Milliseconds until the client may try again, or 0 if it may try now
+    getRetryAfter(key) {
+        const failures = this.prune(key);
+        if (failures.length < this.maxAttempts) return 0;
+        return failures[0] + this.window - Date.now();
+    }
+
+    recordFailure(key) {
+        // Clients that gave up are only pruned when seen again, so sweep them now and then
+        if (this.failures.size > 1000) {
+            for (const existing of Array.from(this.failures.keys())) {
+                this.prune(existing);
+            }
+        }
+
+        const failures = this.prune(key);
+        failures.push(Date.now());
+        this.failures.set(key, failures);
+        return this.maxAttempts - failures.length;
+    }
+
+    reset(key) {
+        this.failures.delete(key);
+    }
+
+    prune(key) {
+        const cutoff = Date.now() - this.window;
+        const failures = (this.failures.get(key) || []).filter(time => time > cutoff);
+        if (failures.length > 0) {
+            this.failures.set(key, failures);
+        } else {
+            this.failures.delete(key);
+        }
+        return failures;
+    }
+}
+
+module.exports = LoginLimiter;
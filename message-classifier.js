@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'message-classifier' });
+
+// Used when the rules file is missing so relaying still works with plain embeds
+const DEFAULT_RULES = {
+    player: {
+        rankPattern: '^\\[([^\\]]+)\\]\\s*',
+        default: { type: 'chat', label: 'Player Chat', color: '#5865F2', icon: '🎮' },
+        categories: {},
+        ranks: []
+    },
+    server: {
+        default: { type: 'server', label: 'Server Message', color: '#57F287', icon: '📢' },
+        rules: []
+    }
+};
+
+// ============================================================================
+// MESSAGE CLASSIFIER CLASS
+// ============================================================================
+
+class MessageClassifier {
+    constructor(rulesFile = config.discord.chatRulesFile) {
+        this.rulesFile = path.resolve(rulesFile);
+        this.playerDefault = null;
+        this.playerCategories = {};
+        this.rankPattern = null;
+        this.ranks = [];
+        this.serverDefault = null;
+        this.serverRules = [];
+        this.watcher = null;
+
+        this.reload();
+        this.watch();
+    }
+
+    // ========================================================================
+    // RULE LOADING
+    // ========================================================================
+
+    reload() {
+        try {
+            let rules = DEFAULT_RULES;
+            if (fs.existsSync(this.rulesFile)) {
+                rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+            } else {
+                logger.warn(`Chat rules file not found at ${this.rulesFile}, using default rules`);
+            }
+
+            // Compile everything first so a bad rule leaves the previous rule set in place
+            const playerRules = rules.player || DEFAULT_RULES.player;
+            const serverRules = rules.server || DEFAULT_RULES.server;
+
+            const compiled = {
+                playerDefault: this.compileRule({ ...DEFAULT_RULES.player.default, ...playerRules.default }, 'player default',
+                    this.parseColor(DEFAULT_RULES.player.default.color)),
+                playerCategories: Object.fromEntries(Object.entries(playerRules.categories || {})
+                    .map(([category, rule]) => [category, this.compileRule({ type: category, ...rule }, `player category ${category}`)])),
+                rankPattern: new RegExp(playerRules.rankPattern || DEFAULT_RULES.player.rankPattern),
+                ranks: (playerRules.ranks || []).map(rank => this.compileRule(rank, `rank ${rank.pattern}`)),
+                serverDefault: this.compileRule({ ...DEFAULT_RULES.server.default, ...serverRules.default }, 'server default',
+                    this.parseColor(DEFAULT_RULES.server.default.color)),
+                serverRules: (serverRules.rules || []).map(rule => this.compileRule(rule, `server rule ${rule.type || rule.pattern}`))
+            };
+
+            Object.assign(this, compiled);
+            logger.info(`Loaded ${this.serverRules.length} server message rules and ${this.ranks.length} rank colours`);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to load chat rules from ${this.rulesFile}:`, error.message);
+            return false;
+        }
+    }
+
+    // Rules without a usable colour get fallbackColor, or undefined so classification
+    // falls back to the default rule's colour
+    compileRule(rule, name, fallbackColor = undefined) {
+        let color = this.parseColor(rule.color);
+        if (color === null) {
+            logger.warn(`Invalid colour ${JSON.stringify(rule.color)} for ${name} in chat rules, using the default colour`);
+            color = undefined;
+        }
+
+        return {
+            ...rule,
+            regex: rule.pattern ? new RegExp(rule.pattern, rule.flags || '') : null,
+            color: color ?? fallbackColor
+        };
+    }
+
+    // undefined when no colour is set, null when it isn't a valid 0xRRGGBB value
+    parseColor(color) {
+        if (color === undefined || color === null) return undefined;
+        if (typeof color === 'number') {
+            return Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF ? color : null;
+        }
+        if (typeof color === 'string' && /^(?:#|0x)?[0-9a-f]{1,6}$/i.test(color.trim())) {
+            return parseInt(color.trim().replace(/^#|^0x/i, ''), 16);
+        }
+        return null;
+    }
+
+    watch() {
+        this.watcher = fs.watchFile(this.rulesFile, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            logger.info('Chat rules file changed, reloading...');
+            this.reload();
+        });
+        this.watcher.unref();
+    }
+
+    getChannelIds() {
+        const rules = [this.playerDefault, ...Object.values(this.playerCategories), ...this.ranks, this.serverDefault, ...this.serverRules];
+        return [...new Set(rules.map(rule => rule.channel).filter(Boolean))];
+    }
+
+    close() {
+        fs.unwatchFile(this.rulesFile);
+        this.watcher = null;
+    }
+
+    // ========================================================================
+    // CLASSIFICATION
+    // ========================================================================
+
+    classifyPlayerMessage(message, category = null) {
+        const rankMatch = message.match(this.rankPattern);
+        const rank = rankMatch ? rankMatch[1] : null;
+        const cleanMessage = rankMatch ? message.replace(this.rankPattern, '') : message;
+
+        const rankRule = rank ? this.ranks.find(r => r.regex && r.regex.test(rank)) : null;
+        const base = { ...this.playerDefault, ...(category && this.playerCategories[category]) };
+        if (category && !this.playerCategories[category]) {
+            base.type = category;
+        }
+
+        return {
+            type: base.type,
+            label: base.label,
+            icon: base.icon,
+            channel: (category && base.channel) || rankRule?.channel || base.channel || null,
+            color: category ? (base.color ?? this.playerDefault.color) : (rankRule?.color ?? base.color),
+            rank,
+            cleanMessage
+        };
+    }
+
+    classifyServerMessage(message) {
+        for (const rule of this.serverRules) {
+            const match = rule.regex ? message.match(rule.regex) : null;
+            if (!match) continue;
+
+            const player = rule.player !== undefined
+                ? (match.groups?.[rule.player] ?? match[rule.player] ?? null)
+                : null;
+
+            return {
+                type: rule.type || this.serverDefault.type,
+                label: rule.label || this.serverDefault.label,
+                icon: rule.icon || this.serverDefault.icon,
+                channel: rule.channel || null,
+                color: rule.color ?? this.serverDefault.color,
+                player
+            };
+        }
+
+        return {
+            type: this.serverDefault.type,
+            label: this.serverDefault.label,
+            icon: this.serverDefault.icon,
+            channel: this.serverDefault.channel || null,
+            color: this.serverDefault.color,
+            player: null
+        };
+    }
+}
+
+module.exports = MessageClassifier;
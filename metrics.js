@@ -0,0 +1,166 @@
+const logger = require('./logger').child({ module: 'metrics' });
+
+// Default latency buckets in seconds, from a fast ephemeral reply to a slow deferred one
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ============================================================================
+// METRIC TYPES (module-private)
+// ============================================================================
+
+// Label values are kept as a JSON key so each label set is its own series
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    getKey(labels = {}) {
+        return JSON.stringify(this.labelNames.map(label => String(labels[label] ?? '')));
+    }
+
+    formatLabels(key, extra = {}) {
+        const values = JSON.parse(key);
+        const pairs = this.labelNames.map((label, i) => [label, values[i]]).concat(Object.entries(extra));
+        if (pairs.length === 0) return '';
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `{${pairs.map(([label, value]) => `${label}="${escape(value)}"`).join(',')}}`;
+    }
+
+    formatValue(value) {
+        if (Number.isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        // Unlabelled counters show up as 0 before anything has happened; gauges with no
+        // value are left out rather than reported as a misleading 0
+        if (this.series.size === 0 && this.labelNames.length === 0 && this.type === 'counter') {
+            lines.push(`${this.name} 0`);
+        }
+        for (const [key, value] of this.series) {
+            lines.push(...this.renderSeries(key, value));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(key, value) {
+        return [`${this.name}${this.formatLabels(key)} ${this.formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.getKey(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(this.getKey(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this.getKey(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+
+        this.buckets.forEach((bucket, i) => {
+            if (value <= bucket) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(key, series) {
+        const lines = this.buckets.map((bucket, i) =>
+            `${this.name}_bucket${this.formatLabels(key, { le: bucket })} ${series.counts[i]}`);
+        lines.push(`${this.name}_bucket${this.formatLabels(key, { le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${this.formatLabels(key)} ${series.sum}`);
+        lines.push(`${this.name}_count${this.formatLabels(key)} ${series.count}`);
+        return lines;
+    }
+}
+
+// ============================================================================
+// METRICS CLASS
+// ============================================================================
+
+// Prometheus registry. Modules register counters for things that happen; values
+// that are just current state are filled in by collectors right before a scrape.
+class Metrics {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    // Registering the same name twice returns the existing metric
+    register(metric) {
+        const existing = this.metrics.get(metric.name);
+        if (existing) return existing;
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+
+    // Prometheus text exposition format 0.0.4
+    render() {
+        for (const collect of this.collectors) {
+            try {
+                collect();
+            } catch (error) {
+                logger.warn('Metrics collector failed:', error.message);
+            }
+        }
+        return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+    }
+
+    getContentType() {
+        return 'text/plain; version=0.0.4; charset=utf-8';
+    }
+}
+
+module.exports = new Metrics();
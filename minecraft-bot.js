@@ -1,9 +1,19 @@
 const mineflayer = require('mineflayer');
 const { Authflow, Titles } = require('prismarine-auth');
 const config = require('./config');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'minecraft-bot' });
+const ChatQueue = require('./chat-queue');
+const PlayerSessions = require('./player-sessions');
+const PopulationHistory = require('./population-history');
+const PlayerStats = require('./player-stats');
+const metrics = require('./metrics');
 const fetch = require('node-fetch');
 
+// Position and health change many times a second; the dashboard only needs a glimpse
+const VITALS_INTERVAL = 2000;
+
+const reconnectsTotal = metrics.counter('atommc_reconnect_attempts_total', 'Reconnects scheduled after the bot lost its connection');
+
 // ============================================================================
 // MINECRAFT BOT CLASS
 // ============================================================================
@@ -14,18 +24,35 @@ class MinecraftBot {
         this.discordClient = discordClient;
         this.bridge = bridge;
         this.reconnectAttempts = 0;
+        this.connectionAttempt = 0;
         this.isConnected = false;
         this.isReconnecting = false;
         this.afkInterval = null;
         this.players = new Set();
+        this.sessions = new PlayerSessions();
+        this.population = new PopulationHistory();
+        this.playerStats = new PlayerStats();
         this.detectedUsername = null;
         this.connectionState = 'idle';
         this.shouldReconnect = true;
         this.connectTimeout = null;
         this.reconnectTimeout = null;
+        this.reconnectAt = null;
+        this.vitalsTimeout = null;
+        this.lastVitalsAt = 0;
         this.statusUpdateInterval = null;
         this.connectionStartTime = null;
+        // When the bot last left the world; null while connected or before the first connection
+        this.disconnectedAt = null;
         this.rateLimitDelay = null;
+        this.commandCaptures = new Set();
+        this.commandChain = Promise.resolve();
+        this.chatQueue = new ChatQueue((line) => {
+            if (!this.bot || !this.isConnected) {
+                throw new Error('Bot is not connected to Minecraft server');
+            }
+            this.bot.chat(line);
+        });
     }
 
     // ========================================================================
@@ -52,6 +79,11 @@ class MinecraftBot {
             clearInterval(this.statusUpdateInterval);
             this.statusUpdateInterval = null;
         }
+
+        if (this.vitalsTimeout) {
+            clearTimeout(this.vitalsTimeout);
+            this.vitalsTimeout = null;
+        }
         
         logger.debug('All timers and intervals cleared');
     }
@@ -73,8 +105,10 @@ class MinecraftBot {
                 return;
             }
 
-            this.connectionState = 'connecting';
+            this.setConnectionState('connecting');
             this.isReconnecting = false; // Reset reconnecting flag when starting fresh connection
+            this.connectionAttempt++;
+            logger.setContext({ connectionAttempt: this.connectionAttempt });
             logger.info('Connecting to Minecraft server...');
 
             const username = config.minecraft.username || 'MinecraftBridgeBot';
@@ -121,7 +155,7 @@ class MinecraftBot {
 
             return new Promise((resolve, reject) => {
                 this.connectTimeout = setTimeout(() => {
-                    this.connectionState = 'error';
+                    this.setConnectionState('error');
                     reject(new Error('Connection timeout - server may be offline or unreachable'));
                 }, 60000);
 
@@ -129,7 +163,7 @@ class MinecraftBot {
                     clearTimeout(this.connectTimeout);
                     this.connectTimeout = null;
                     this.isConnected = true;
-                    this.connectionState = 'connected';
+                    this.setConnectionState('connected');
                     this.reconnectAttempts = 0;
                     this.detectedUsername = this.bot.username;
                     
@@ -157,18 +191,18 @@ class MinecraftBot {
                     }
                     
                     if (!this.isConnected) {
-                        this.connectionState = 'error';
+                        this.setConnectionState('error');
                         logger.error('Connection ended before spawn:', reason);
                         reject(new Error(`Connection ended: ${reason}`));
                     }
                 });
             });
         } catch (error) {
-            this.connectionState = 'error';
+            this.setConnectionState('error');
             const errorStr = error.toString();
 
             if (errorStr.includes('To sign in, use a web browser') || errorStr.includes('microsoft.com/link')) {
-                this.connectionState = 'authenticating';
+                this.setConnectionState('authenticating');
                 const codeMatch = errorStr.match(/code ([A-Z0-9]+)/i);
                 if (codeMatch && this.discordClient) {
                     const authCode = codeMatch[1];
@@ -189,15 +223,12 @@ class MinecraftBot {
                     this.discordClient.sendStatusEmbed('⏰ Connection Timeout', 'Server is not responding - may be overloaded or offline', 0xFF0000);
                 }
             } else {
-                logger.error('Failed to connect to Minecraft server:', error.message || error);
+                logger.error('Failed to connect to Minecraft server:', error);
                 if (this.discordClient) {
                     this.discordClient.sendStatusEmbed('❌ Connection Error', `Connection failed: ${error.message || 'Unknown error'}`, 0xFF0000);
                 }
             }
 
-            if (error.stack) {
-                logger.debug('Error stack:', error.stack);
-            }
             throw error;
         }
     }
@@ -210,6 +241,7 @@ class MinecraftBot {
         this.bot.on('spawn', () => {
             logger.info(`Bot spawned in world: ${this.bot.game.dimension}`);
             this.connectionStartTime = Date.now();
+            this.disconnectedAt = null;
 
             if (this.discordClient && this.discordClient.setStatus) {
                 const position = this.bot.entity?.position;
@@ -218,6 +250,8 @@ class MinecraftBot {
             }
 
             this.initializePlayerList();
+            this.playerStats.setLanguage(this.bot.registry?.language);
+            this.population.start(() => this.isConnected ? this.getPlayerCount() : null);
 
             setTimeout(() => {
                 this.updatePlayerList();
@@ -231,11 +265,16 @@ class MinecraftBot {
             }
 
             this.startStatusUpdates();
+            this.publishVitals();
         });
 
         this.bot.on('end', (reason) => {
             this.isConnected = false;
+            this.disconnectedAt = this.disconnectedAt || Date.now();
             this.clearAllTimersAndIntervals();
+            this.chatQueue.clear('Bot disconnected from Minecraft server');
+            this.sessions.markBotOffline();
+            this.publishStatus();
             
             logger.warn(`Bot disconnected: ${reason}`);
             
@@ -313,11 +352,14 @@ class MinecraftBot {
         this.bot.on('whisper', (username, message, translate, jsonMsg, matches) => {
             logger.info(`Whisper from ${username}: ${message}`);
             if (this.discordClient) {
-                this.discordClient.sendChatMessage(username, `**Whisper to ${this.bot.username}:** ${message}`, false);
+                this.discordClient.handleIncomingWhisper(username, message).catch(err => {
+                    logger.error('Failed to forward whisper to Discord:', err?.message);
+                });
             }
         });
 
         this.bot.on('health', () => {
+            this.publishVitals();
             if (this.bot.health <= 0) {
                 logger.warn('Bot died, respawning...');
                 this.bot.respawn();
@@ -327,6 +369,10 @@ class MinecraftBot {
             }
         });
 
+        this.bot.on('move', () => {
+            this.publishVitals();
+        });
+
         this.bot.on('death', () => {
             logger.info('Bot died');
             if (this.discordClient) {
@@ -349,6 +395,11 @@ class MinecraftBot {
                     const hasBeenConnectedLongEnough = this.isConnected && this.connectionStartTime && (Date.now() - this.connectionStartTime) > 30000;
                     const isNotInitialConnection = this.connectionState === 'connected' && hasBeenConnectedLongEnough;
 
+                    this.sessions.startSession(player.uuid, username, { joinedBeforeBot: !isNotInitialConnection });
+                    if (!wasAlreadyOnline) {
+                        this.publishPlayers('join', username);
+                    }
+
                     if (!wasAlreadyOnline && isNotInitialConnection && this.discordClient) {
                         logger.info(`New player joined: ${username} (Total: ${this.players.size})`);
                         const joinMessage = `${username} joined the game`;
@@ -366,6 +417,10 @@ class MinecraftBot {
             if (player && player.username && typeof player.username === 'string' && player.username.trim() !== '') {
                 const username = player.username.trim();
                 const wasRemoved = this.players.delete(username);
+                this.sessions.endSession(player.uuid, username);
+                if (wasRemoved) {
+                    this.publishPlayers('leave', username);
+                }
 
                 const hasBeenConnectedLongEnough = this.isConnected && this.connectionStartTime && (Date.now() - this.connectionStartTime) > 30000;
                 const isNotInitialConnection = this.connectionState === 'connected' && hasBeenConnectedLongEnough;
@@ -400,12 +455,15 @@ class MinecraftBot {
 
             logger.info(`Chat: ${message}`);
 
-            if (sender && typeof message === 'string') {
-                const lowerMessage = message.toLowerCase();
-                if ((lowerMessage.includes('lootedbycgy') || lowerMessage.includes('doggo')) && this.discordClient) {
-                    this.discordClient.sendKeywordAlert(sender, message, '915483308522086460').catch(err => {
-                        logger.debug('Failed to send keyword alert:', err?.message);
-                    });
+            if (!sender) {
+                for (const capture of this.commandCaptures) {
+                    capture.push(message);
+                }
+
+                try {
+                    this.playerStats.recordMessage(message, jsonMsg, this.players);
+                } catch (statsErr) {
+                    logger.debug('Failed to record player stats:', statsErr?.message);
                 }
             }
 
@@ -413,8 +471,19 @@ class MinecraftBot {
                 return;
             }
 
+            try {
+                this.discordClient.checkKeywordAlerts(sender, message, !sender);
+            } catch (alertErr) {
+                logger.debug('Failed to check keyword alerts:', alertErr?.message);
+            }
+
+            if (sender && this.isRelayEcho(message, sender)) {
+                logger.debug('Skipping echo of relayed Discord message');
+                return;
+            }
+
             if (sender) {
-                this.discordClient.sendChatMessage(sender, message, false).catch(err => {
+                this.discordClient.sendChatMessage(sender, message, false, { component: jsonMsg }).catch(err => {
                     logger.error('Failed to send player chat to Discord:', err?.message);
                 });
             } else {
@@ -424,9 +493,9 @@ class MinecraftBot {
                 }
 
                 try {
-                    const wasBatched = this.discordClient.batchMessage(message, true);
+                    const wasBatched = this.discordClient.batchMessage(message, true, jsonMsg);
                     if (!wasBatched) {
-                        this.discordClient.sendChatMessage('Server', message, true).catch(err => {
+                        this.discordClient.sendChatMessage('Server', message, true, { component: jsonMsg }).catch(err => {
                             logger.error('Failed to send server chat to Discord:', err?.message);
                         });
                     }
@@ -439,12 +508,22 @@ class MinecraftBot {
         }
     }
 
+    isRelayEcho(message, sender) {
+        // Lines the bot relayed from Discord come back as its own chat - don't post them twice
+        const marker = config.discord.relay.prefix.split('{name}')[0].trim();
+        if (!marker || !message.includes(marker)) return false;
+        return sender === this.bot?.username || sender === this.bot?.player?.uuid;
+    }
+
     async disconnect() {
         logger.info('Manually disconnecting from Minecraft server...');
-        this.connectionState = 'disconnecting';
+        this.setConnectionState('disconnecting');
         this.shouldReconnect = false;
+        this.disconnectedAt = this.disconnectedAt || Date.now();
 
         this.clearAllTimersAndIntervals();
+        this.chatQueue.clear('Bot manually disconnected');
+        this.sessions.markBotOffline();
 
         if (this.bot) {
             try {
@@ -457,7 +536,7 @@ class MinecraftBot {
         }
 
         this.isConnected = false;
-        this.connectionState = 'idle';
+        this.setConnectionState('idle');
         logger.info('Successfully disconnected from Minecraft server');
 
         if (this.discordClient) {
@@ -480,9 +559,10 @@ class MinecraftBot {
             return;
         }
 
-        this.connectionState = 'reconnecting';
+        this.setConnectionState('reconnecting');
         this.isReconnecting = true;
         this.reconnectAttempts++;
+        reconnectsTotal.inc();
 
         logger.info(`Attempting to reconnect... (Attempt #${this.reconnectAttempts})`);
 
@@ -499,8 +579,14 @@ class MinecraftBot {
             clearTimeout(this.reconnectTimeout);
         }
 
+        this.reconnectAt = Date.now() + totalDelay;
+        if (this.bridge) {
+            this.bridge.publish('reconnecting', this.getReconnectProgress());
+        }
+
         this.reconnectTimeout = setTimeout(async () => {
             this.reconnectTimeout = null;
+            this.reconnectAt = null;
             
             // Clear existing bot instance if stuck
             if (this.bot) {
@@ -540,7 +626,9 @@ class MinecraftBot {
 
         // Only attempt connection if not already connected or connecting
         if (!this.isConnected && this.connectionState !== 'connecting') {
-            this.connectionState = 'idle'; // Reset state
+            this.setConnectionState('idle'); // Reset state
+            // Time spent stopped on purpose isn't an outage
+            this.disconnectedAt = Date.now();
             this.connect().catch((error) => {
                 logger.warn('Resume reconnect connection attempt failed:', error.message);
             });
@@ -662,12 +750,16 @@ class MinecraftBot {
         if (!this.bot || !this.isConnected) return;
 
         this.players.clear();
+        this.sessions.markBotOnline();
 
         if (this.bot.players) {
             Object.values(this.bot.players).forEach(player => {
                 if (player && player.username && typeof player.username === 'string' && player.username.trim() !== '') {
                     const username = player.username.trim();
                     this.players.add(username);
+                    if (username !== this.bot.username) {
+                        this.sessions.startSession(player.uuid, username, { joinedBeforeBot: true });
+                    }
                     logger.debug(`Initial sync: Added existing player ${username}`);
                 }
             });
@@ -679,6 +771,12 @@ class MinecraftBot {
 
         logger.info(`Synced player list with server - ${this.players.size} players currently online: [${Array.from(this.players).join(', ')}]`);
         this.updatePlayerList();
+        this.publishPlayers('sync', null);
+    }
+
+    getPlayerCount() {
+        // The player set includes the bot itself
+        return this.players.size - (this.bot?.username && this.players.has(this.bot.username) ? 1 : 0);
     }
 
     updatePlayerList() {
@@ -703,20 +801,43 @@ class MinecraftBot {
     // BOT ACTIONS & COMMANDS
     // ========================================================================
 
-    async sendChatMessage(message) {
+    // Resolves once every line of the message has actually been sent
+    async sendChatMessage(message, { priority = 'normal', dedupe = true } = {}) {
         if (!this.bot || !this.isConnected) {
             throw new Error('Bot is not connected to Minecraft server');
         }
 
         try {
-            this.bot.chat(message);
+            await this.chatQueue.enqueue(message, { priority, dedupe });
             logger.info(`Bot sent message to Minecraft: "${message}"`);
         } catch (error) {
-            logger.error('Failed to send message to Minecraft:', error);
+            logger.error('Failed to send message to Minecraft:', error.message);
             throw error;
         }
     }
 
+    // Runs one command at a time so each caller only sees the replies to its own command
+    runCommand(command, captureWindow = config.discord.commands.captureWindow) {
+        const run = this.commandChain.then(() => this.captureCommandOutput(command, captureWindow));
+        this.commandChain = run.catch(() => {});
+        return run;
+    }
+
+    async captureCommandOutput(command, captureWindow) {
+        // Checking /bal or /list twice in a row is normal, so commands skip duplicate suppression
+        await this.sendChatMessage(command, { priority: 'high', dedupe: false });
+
+        // Start listening once the line is out, so earlier server messages don't leak into the reply
+        const lines = [];
+        this.commandCaptures.add(lines);
+        try {
+            await new Promise(resolve => setTimeout(resolve, captureWindow));
+            return lines;
+        } finally {
+            this.commandCaptures.delete(lines);
+        }
+    }
+
     async walkForward(blocks) {
         if (!this.bot || !this.isConnected) {
             throw new Error('Bot is not connected to Minecraft server');
@@ -879,6 +1000,68 @@ class MinecraftBot {
 
         logger.info('Status updates started (every minute)');
     }
+
+    // ========================================================================
+    // LIVE DASHBOARD UPDATES
+    // ========================================================================
+
+    setConnectionState(state) {
+        this.connectionState = state;
+        this.publishStatus();
+    }
+
+    publishStatus() {
+        if (this.bridge && this.bridge.publishStatus) {
+            this.bridge.publishStatus();
+        }
+    }
+
+    // type is 'join', 'leave' or 'sync' (the whole list was rebuilt)
+    publishPlayers(type, username) {
+        if (!this.bridge) return;
+        this.bridge.publish('players', {
+            type,
+            username,
+            players: Array.from(this.players)
+        });
+    }
+
+    // Sends at most one update per VITALS_INTERVAL, always including the latest values
+    publishVitals() {
+        if (!this.bridge || this.vitalsTimeout) return;
+
+        const wait = Math.max(0, this.lastVitalsAt + VITALS_INTERVAL - Date.now());
+        this.vitalsTimeout = setTimeout(() => {
+            this.vitalsTimeout = null;
+            this.lastVitalsAt = Date.now();
+            this.bridge.publish('vitals', this.getVitals());
+        }, wait);
+        this.vitalsTimeout.unref();
+    }
+
+    getVitals() {
+        if (!this.bot || !this.isConnected) return null;
+
+        const position = this.bot.entity?.position;
+        return {
+            health: this.bot.health || 0,
+            food: this.bot.food || 0,
+            position: position
+                ? { x: Math.round(position.x), y: Math.round(position.y), z: Math.round(position.z) }
+                : null,
+            dimension: this.bot.game?.dimension || 'Unknown'
+        };
+    }
+
+    // Null unless a reconnect is waiting to fire
+    getReconnectProgress() {
+        if (this.connectionState !== 'reconnecting' || !this.reconnectAt) return null;
+        return {
+            attempt: this.reconnectAttempts,
+            retryAt: new Date(this.reconnectAt).toISOString(),
+            delay: Math.max(0, this.reconnectAt - Date.now())
+        };
+    }
 }
 
 module.exports = MinecraftBot;
@@ -0,0 +1,376 @@
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'unavailable'
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+// The /api/v1 surface. Routes in server.js validate their requests against the
+// parameters and request bodies declared here, so this is the single source of truth.
+const DOCUMENT = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Minecraft Discord Bridge API',
+        version: '1.0.0',
+        description: 'Bot status, players and chat for the Minecraft-Discord bridge. Authenticate with `Authorization: Bearer <token>` (create tokens on the /tokens page or with `/token create`) or a dashboard login session. Each operation lists the token scope it needs; sessions have every scope. Errors always use the `Error` envelope.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths: {
+        '/health': {
+            get: {
+                operationId: 'getHealth',
+                summary: 'Web server health',
+                description: 'Open to everyone and always 200; `status` follows the /readyz probe. Bot vitals are only included for sessions and tokens with the status:read scope.',
+                security: [],
+                responses: {
+                    200: jsonResponse('The web server is up', { $ref: '#/components/schemas/Health' })
+                }
+            }
+        },
+        '/status': {
+            get: {
+                operationId: 'getStatus',
+                summary: 'Bot, server and Discord status',
+                'x-required-scope': 'status:read',
+                responses: {
+                    200: jsonResponse('Current status', { $ref: '#/components/schemas/Status' }),
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' }
+                }
+            }
+        },
+        '/players': {
+            get: {
+                operationId: 'getPlayers',
+                summary: 'Players currently online',
+                'x-required-scope': 'status:read',
+                responses: {
+                    200: jsonResponse('Online players', { $ref: '#/components/schemas/Players' }),
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' }
+                }
+            }
+        },
+        '/chat-logs': {
+            get: {
+                operationId: 'getChatLogs',
+                summary: 'Search the chat history',
+                description: 'Newest first. Pass `nextCursor` back as `before` for older messages and `prevCursor` as `after` for newer ones.',
+                'x-required-scope': 'chat:read',
+                parameters: [
+                    { name: 'limit', in: 'query', description: 'Messages per page', schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } },
+                    { name: 'q', in: 'query', description: 'Text the message must contain', schema: { type: 'string', maxLength: 200 } },
+                    { name: 'regex', in: 'query', description: 'Case-insensitive pattern the message must match. Patterns that could backtrack heavily get a 400: backreferences, repeated groups containing a repeat or alternatives, and two wide repeats that can match the same characters (like .*.*x) with nothing required between them that keeps them apart', schema: { type: 'string', maxLength: 200 } },
+                    { name: 'sender', in: 'query', description: 'Player name', schema: { type: 'string', maxLength: 50 } },
+                    { name: 'category', in: 'query', schema: { type: 'string', enum: ['player', 'server'] } },
+                    { name: 'since', in: 'query', description: 'Only messages at or after this time', schema: { type: 'string', format: 'date-time' } },
+                    { name: 'until', in: 'query', description: 'Only messages at or before this time', schema: { type: 'string', format: 'date-time' } },
+                    { name: 'before', in: 'query', description: 'Cursor for older messages', schema: { type: 'integer', minimum: 1 } },
+                    { name: 'after', in: 'query', description: 'Cursor for newer messages', schema: { type: 'integer', minimum: 1 } }
+                ],
+                responses: {
+                    200: jsonResponse('A page of chat messages', { $ref: '#/components/schemas/ChatLogPage' }),
+                    400: { $ref: '#/components/responses/BadRequest' },
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' }
+                }
+            }
+        },
+        '/message': {
+            post: {
+                operationId: 'sendMessage',
+                summary: 'Say something in-game',
+                description: 'Resolves once every line has been sent. Long messages are split across several chat lines.',
+                'x-required-scope': 'chat:send',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['message'],
+                                properties: {
+                                    message: { type: 'string', minLength: 1, description: 'Chat line or command to send' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: jsonResponse('The message was sent', { $ref: '#/components/schemas/MessageSent' }),
+                    400: { $ref: '#/components/responses/BadRequest' },
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' },
+                    503: { $ref: '#/components/responses/Unavailable' }
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token starting with atm_' },
+            sessionCookie: { type: 'apiKey', in: 'cookie', name: 'atommc.sid', description: 'Dashboard login session' }
+        },
+        responses: {
+            BadRequest: errorResponse('The request failed validation'),
+            Unauthorized: errorResponse('Missing or invalid credentials'),
+            Forbidden: errorResponse('The token lacks the required scope'),
+            Unavailable: errorResponse('The bot is not connected to Minecraft')
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                            message: { type: 'string' },
+                            details: {
+                                type: 'array',
+                                description: 'One entry per invalid field',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        in: { type: 'string', enum: ['query', 'body'] },
+                                        name: { type: 'string' },
+                                        message: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            Health: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'], example: 'healthy' },
+                    webServer: { type: 'string', example: 'running' },
+                    health: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            health: { type: 'number' },
+                            food: { type: 'number' },
+                            position: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } } }
+                        }
+                    }
+                }
+            },
+            Status: {
+                type: 'object',
+                properties: {
+                    server: {
+                        type: 'object',
+                        properties: { host: { type: 'string' }, port: { type: 'integer' }, version: { type: 'string' } }
+                    },
+                    bot: {
+                        type: 'object',
+                        properties: {
+                            connected: { type: 'boolean' },
+                            username: { type: 'string' },
+                            state: { type: 'string', enum: ['idle', 'connecting', 'authenticating', 'connected', 'reconnecting', 'disconnecting', 'error'] },
+                            chatQueue: { type: 'object', nullable: true, description: 'Outgoing chat queue depth and counters' }
+                        }
+                    },
+                    discord: {
+                        type: 'object',
+                        properties: { enabled: { type: 'boolean' }, connected: { type: 'boolean' } }
+                    },
+                    uptime: { type: 'integer', description: 'Seconds since the bridge started' },
+                    players: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            Players: {
+                type: 'object',
+                properties: {
+                    count: { type: 'integer' },
+                    players: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            ChatLog: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    displayTime: { type: 'string' },
+                    sender: { type: 'string' },
+                    message: { type: 'string' },
+                    isServerMessage: { type: 'boolean' }
+                }
+            },
+            ChatLogPage: {
+                type: 'object',
+                properties: {
+                    logs: { type: 'array', items: { $ref: '#/components/schemas/ChatLog' } },
+                    nextCursor: { type: 'integer', nullable: true },
+                    prevCursor: { type: 'integer', nullable: true },
+                    total: { type: 'integer', description: 'All stored messages, not just matches' }
+                }
+            },
+            MessageSent: {
+                type: 'object',
+                properties: {
+                    sent: { type: 'boolean' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// ============================================================================
+// OPENAPI CLASS
+// ============================================================================
+
+class OpenApi {
+    constructor() {
+        this.operations = new Map();
+        for (const [route, methods] of Object.entries(DOCUMENT.paths)) {
+            for (const [method, operation] of Object.entries(methods)) {
+                this.operations.set(operation.operationId, { route, method, ...operation });
+            }
+        }
+    }
+
+    getDocument() {
+        return DOCUMENT;
+    }
+
+    getOperations() {
+        return Array.from(this.operations.values());
+    }
+
+    getErrorCode(status) {
+        return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+    }
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    // Checks req against the operation's parameters and body schema. Returns the
+    // coerced { query, body }, or { errors } with one entry per bad field.
+    validate(operationId, req) {
+        const operation = this.operations.get(operationId);
+        if (!operation) {
+            throw new Error(`Unknown operation: ${operationId}`);
+        }
+
+        const errors = [];
+        const query = {};
+        for (const parameter of operation.parameters || []) {
+            const raw = req.query[parameter.name];
+            if (raw === undefined || raw === '') {
+                if (parameter.required) {
+                    errors.push({ in: 'query', name: parameter.name, message: 'is required' });
+                } else if (parameter.schema.default !== undefined) {
+                    query[parameter.name] = parameter.schema.default;
+                }
+                continue;
+            }
+
+            const result = this.coerce(raw, parameter.schema);
+            if (result.error) {
+                errors.push({ in: 'query', name: parameter.name, message: result.error });
+            } else {
+                query[parameter.name] = result.value;
+            }
+        }
+
+        let body;
+        const bodySchema = operation.requestBody?.content['application/json'].schema;
+        if (bodySchema) {
+            if (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body)) {
+                errors.push({ in: 'body', name: '', message: 'must be a JSON object' });
+            } else {
+                body = {};
+                for (const name of bodySchema.required || []) {
+                    if (req.body[name] === undefined) {
+                        errors.push({ in: 'body', name, message: 'is required' });
+                    }
+                }
+                for (const [name, schema] of Object.entries(bodySchema.properties)) {
+                    if (req.body[name] === undefined) continue;
+                    const result = this.check(req.body[name], schema);
+                    if (result.error) {
+                        errors.push({ in: 'body', name, message: result.error });
+                    } else {
+                        body[name] = result.value;
+                    }
+                }
+            }
+        }
+
+        return errors.length > 0 ? { errors } : { query, body };
+    }
+
+    // Query strings are always text, so numbers and booleans are parsed first
+    coerce(raw, schema) {
+        if (Array.isArray(raw) || typeof raw !== 'string') {
+            return { error: 'must be given once' };
+        }
+
+        if (schema.type === 'integer') {
+            if (!/^-?\d+$/.test(raw)) return { error: 'must be a whole number' };
+            return this.check(parseInt(raw, 10), schema);
+        }
+        if (schema.type === 'boolean') {
+            if (!['true', 'false'].includes(raw)) return { error: 'must be true or false' };
+            return { value: raw === 'true' };
+        }
+        return this.check(raw, schema);
+    }
+
+    check(value, schema) {
+        if (schema.type === 'integer' && !Number.isInteger(value)) {
+            return { error: 'must be a whole number' };
+        }
+        if (schema.type === 'string' && typeof value !== 'string') {
+            return { error: 'must be a string' };
+        }
+        if (schema.type === 'boolean' && typeof value !== 'boolean') {
+            return { error: 'must be true or false' };
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            return { error: `must be one of: ${schema.enum.join(', ')}` };
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return { error: `must be at least ${schema.minimum}` };
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return { error: `must be at most ${schema.maximum}` };
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return { error: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` };
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return { error: `must be at most ${schema.maxLength} characters` };
+        }
+        if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+            return { error: 'must be a valid date' };
+        }
+        return { value };
+    }
+}
+
+module.exports = new OpenApi();
@@ -0,0 +1,177 @@
+const config = require('./config');
+const logger = require('./logger').child({ module: 'ops-alerts' });
+
+// Same numbering as the logger; 'off' sits below everything
+const LEVELS = {
+    off: -1,
+    error: 0,
+    warn: 1
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// ============================================================================
+// OPS ALERTS CLASS
+// ============================================================================
+
+// Logger transport that groups identical warnings and errors and hands them to
+// send(alert) once per group window, at most maxPerMinute times a minute
+class OpsAlerts {
+    constructor(send, options = {}) {
+        this.send = send;
+        this.groupWindow = options.groupWindow ?? config.discord.ops.groupWindow;
+        this.maxPerMinute = options.maxPerMinute ?? config.discord.ops.maxPerMinute;
+        this.maxGroups = options.maxGroups ?? 50;
+
+        this.level = LEVELS.warn;
+        this.setLevel(options.level ?? config.discord.ops.level);
+
+        this.groups = new Map();
+        this.sentAt = [];
+        this.suppressed = 0;
+        this.flushTimer = null;
+        this.isFlushing = false;
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    isValidLevel(level) {
+        return Object.prototype.hasOwnProperty.call(LEVELS, level);
+    }
+
+    getLevels() {
+        return Object.keys(LEVELS);
+    }
+
+    setLevel(level) {
+        if (!this.isValidLevel(level)) {
+            throw new Error(`Ops alert level must be one of: ${this.getLevels().join(', ')}`);
+        }
+        this.level = LEVELS[level];
+    }
+
+    getLevelName() {
+        return Object.keys(LEVELS).find(name => LEVELS[name] === this.level);
+    }
+
+    getStats() {
+        this.pruneSentAt();
+        return {
+            level: this.getLevelName(),
+            pending: this.groups.size,
+            sentLastMinute: this.sentAt.length,
+            maxPerMinute: this.maxPerMinute,
+            suppressed: this.suppressed
+        };
+    }
+
+    // Called by the logger for every entry at or below this.level
+    log(entry) {
+        // Our own send failures would otherwise feed straight back in
+        if (entry.module === 'ops-alerts') return;
+
+        const key = [entry.level, entry.module, entry.message, entry.error?.message].join('|');
+        const group = this.groups.get(key);
+        if (group) {
+            group.count++;
+            group.lastAt = entry.time;
+        } else if (this.groups.size >= this.maxGroups) {
+            this.suppressed++;
+        } else {
+            this.groups.set(key, { entry, count: 1, firstAt: entry.time, lastAt: entry.time });
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.groupWindow);
+            this.flushTimer.unref();
+        }
+    }
+
+    async flush() {
+        this.flushTimer = null;
+        if (this.isFlushing) {
+            this.flushTimer = setTimeout(() => this.flush(), this.groupWindow);
+            this.flushTimer.unref();
+            return;
+        }
+        this.isFlushing = true;
+
+        try {
+            const groups = Array.from(this.groups.values());
+            this.groups.clear();
+
+            for (const group of groups) {
+                if (!this.hasCapacity()) {
+                    this.suppressed += group.count;
+                    continue;
+                }
+                await this.deliver({
+                    ...group.entry,
+                    count: group.count,
+                    firstAt: group.firstAt,
+                    lastAt: group.lastAt,
+                    suppressed: this.suppressed
+                });
+                this.suppressed = 0;
+            }
+
+            // Nothing left to attach the count to, so report it on its own once there's room
+            if (this.suppressed > 0 && groups.length === 0 && this.hasCapacity()) {
+                const now = new Date().toISOString();
+                await this.deliver({
+                    time: now,
+                    level: 'warn',
+                    module: 'ops-alerts',
+                    message: `${this.suppressed} alert${this.suppressed === 1 ? ' was' : 's were'} dropped by the per-minute cap`,
+                    count: 1,
+                    firstAt: now,
+                    lastAt: now,
+                    suppressed: 0
+                });
+                this.suppressed = 0;
+            }
+
+            if (this.suppressed > 0 && !this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), MINUTE_MS);
+                this.flushTimer.unref();
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    stop() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.groups.clear();
+    }
+
+    // ========================================================================
+    // INTERNALS
+    // ========================================================================
+
+    async deliver(alert) {
+        this.sentAt.push(Date.now());
+        try {
+            await this.send(alert);
+        } catch (error) {
+            logger.warn('Failed to send ops alert:', error.message);
+        }
+    }
+
+    hasCapacity() {
+        this.pruneSentAt();
+        return this.sentAt.length < this.maxPerMinute;
+    }
+
+    pruneSentAt() {
+        const cutoff = Date.now() - MINUTE_MS;
+        this.sentAt = this.sentAt.filter(time => time > cutoff);
+    }
+}
+
+module.exports = OpsAlerts;
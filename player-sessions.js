@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'player-sessions' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Joins and leaves are written at most this often; the file holds a year of sessions
+const SAVE_DELAY = 30 * 1000;
+
+const PERIODS = {
+    day: DAY_MS,
+    week: 7 * DAY_MS,
+    month: 30 * DAY_MS,
+    all: Infinity
+};
+
+// ============================================================================
+// PLAYER SESSIONS CLASS
+// ============================================================================
+
+class PlayerSessions {
+    constructor() {
+        // Finished sessions: { uuid, name, joinedAt, leftAt, joinedBeforeBot, leftAfterBot }
+        this.sessions = [];
+        // Open sessions by UUID
+        this.openSessions = new Map();
+        // Times the bot itself was offline: { from, to }
+        this.botGaps = [];
+        this.botOfflineSince = null;
+        this.saveTimeout = null;
+
+        this.instanceId = config.discord.instanceId;
+        this.sessionsFile = path.join('./cache', `player-sessions-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.sessionsFile)) {
+                const data = JSON.parse(fs.readFileSync(this.sessionsFile, 'utf8'));
+                this.sessions = data.sessions || [];
+                this.botGaps = data.botGaps || [];
+
+                // Sessions left open by a crash or restart end when we last saved - nobody was watching after that
+                const lastSeenAt = data.lastUpdated || new Date().toISOString();
+                for (const session of data.openSessions || []) {
+                    this.sessions.push({ ...session, leftAt: lastSeenAt, leftAfterBot: true });
+                }
+                this.botOfflineSince = data.botOfflineSince || lastSeenAt;
+
+                this.prune();
+                logger.info(`Loaded ${this.sessions.length} player sessions from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load player sessions:', error.message);
+            this.sessions = [];
+            this.botGaps = [];
+        }
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                sessions: this.sessions,
+                openSessions: Array.from(this.openSessions.values()),
+                botGaps: this.botGaps,
+                botOfflineSince: this.botOfflineSince,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.sessionsFile, JSON.stringify(data), 'utf8');
+            logger.debug('Saved player sessions to file');
+        } catch (error) {
+            logger.error('Failed to save player sessions:', error.message);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, SAVE_DELAY);
+        this.saveTimeout.unref();
+    }
+
+    // Writes any pending changes now, for shutdown
+    flush() {
+        if (!this.saveTimeout) return;
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        this.save();
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - config.sessions.retentionDays * DAY_MS).toISOString();
+        this.sessions = this.sessions.filter(session => session.leftAt >= cutoff);
+        this.botGaps = this.botGaps.filter(gap => gap.to >= cutoff);
+    }
+
+    // ========================================================================
+    // TRACKING
+    // ========================================================================
+
+    startSession(uuid, name, { joinedBeforeBot = false } = {}) {
+        const key = uuid || name.toLowerCase();
+        if (this.openSessions.has(key)) return;
+
+        this.openSessions.set(key, {
+            uuid: uuid || null,
+            name,
+            joinedAt: new Date().toISOString(),
+            joinedBeforeBot
+        });
+        this.scheduleSave();
+    }
+
+    endSession(uuid, name) {
+        const key = uuid || name.toLowerCase();
+        const session = this.openSessions.get(key);
+        if (!session) return;
+
+        this.openSessions.delete(key);
+        this.sessions.push({ ...session, leftAt: new Date().toISOString(), leftAfterBot: false });
+        this.scheduleSave();
+    }
+
+    markBotOnline() {
+        if (!this.botOfflineSince) return;
+
+        this.botGaps.push({ from: this.botOfflineSince, to: new Date().toISOString() });
+        this.botOfflineSince = null;
+        this.prune();
+        this.scheduleSave();
+    }
+
+    // Everyone still online is cut off here - we can't see when they actually leave
+    markBotOffline() {
+        if (this.botOfflineSince) return;
+
+        const now = new Date().toISOString();
+        for (const session of this.openSessions.values()) {
+            this.sessions.push({ ...session, leftAt: now, leftAfterBot: true });
+        }
+        this.openSessions.clear();
+        this.botOfflineSince = now;
+        this.scheduleSave();
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    isValidPeriod(period) {
+        return Object.prototype.hasOwnProperty.call(PERIODS, period);
+    }
+
+    getPeriods() {
+        return Object.keys(PERIODS);
+    }
+
+    findPlayer(name) {
+        const lowerName = name.toLowerCase();
+        for (const session of this.openSessions.values()) {
+            if (session.name.toLowerCase() === lowerName) {
+                return { uuid: session.uuid, name: session.name };
+            }
+        }
+        for (let i = this.sessions.length - 1; i >= 0; i--) {
+            if (this.sessions[i].name.toLowerCase() === lowerName) {
+                return { uuid: this.sessions[i].uuid, name: this.sessions[i].name };
+            }
+        }
+        return null;
+    }
+
+    // Match on UUID when we have one so renamed players keep their history
+    getPlayerSessions(player) {
+        const belongs = (session) => player.uuid
+            ? session.uuid === player.uuid
+            : session.name.toLowerCase() === player.name.toLowerCase();
+
+        const now = new Date().toISOString();
+        return [
+            ...this.sessions.filter(belongs),
+            ...Array.from(this.openSessions.values()).filter(belongs).map(session => ({ ...session, leftAt: null, online: true, endsAt: now }))
+        ].sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+    }
+
+    getSeen(name) {
+        const player = this.findPlayer(name);
+        if (!player) return null;
+
+        const sessions = this.getPlayerSessions(player);
+        const last = sessions[sessions.length - 1];
+        return {
+            uuid: player.uuid,
+            name: last.name,
+            online: !!last.online,
+            since: last.joinedAt,
+            lastSeen: last.online ? new Date().toISOString() : last.leftAt,
+            // The player may have stayed on after the bot lost its view of them
+            approximate: !last.online && !!last.leftAfterBot,
+            firstSeen: sessions[0].joinedAt,
+            sessionCount: sessions.length
+        };
+    }
+
+    getPlaytime(name, period = 'all') {
+        const player = this.findPlayer(name);
+        if (!player) return null;
+
+        const start = this.getPeriodStart(period);
+        const sessions = this.getPlayerSessions(player);
+        return {
+            uuid: player.uuid,
+            name: sessions[sessions.length - 1].name,
+            period,
+            playtime: this.sumSessions(sessions, start),
+            sessionCount: sessions.filter(session => (session.leftAt || session.endsAt) >= new Date(start).toISOString()).length,
+            botOffline: this.getBotOfflineTime(start)
+        };
+    }
+
+    getLeaderboard(period = 'all', limit = 10) {
+        const start = this.getPeriodStart(period);
+        const now = new Date().toISOString();
+        const totals = new Map();
+
+        const add = (session, end) => {
+            const key = session.uuid || session.name.toLowerCase();
+            const duration = this.overlap(session.joinedAt, end, start);
+            if (duration <= 0) return;
+
+            const total = totals.get(key) || { uuid: session.uuid, name: session.name, playtime: 0, lastJoin: '' };
+            total.playtime += duration;
+            // Show the most recent name for renamed players
+            if (session.joinedAt > total.lastJoin) {
+                total.name = session.name;
+                total.lastJoin = session.joinedAt;
+            }
+            totals.set(key, total);
+        };
+
+        this.sessions.forEach(session => add(session, session.leftAt));
+        this.openSessions.forEach(session => add(session, now));
+
+        return Array.from(totals.values())
+            .sort((a, b) => b.playtime - a.playtime)
+            .slice(0, limit)
+            .map(({ uuid, name, playtime }) => ({ uuid, name, playtime }));
+    }
+
+    getBotOfflineTime(start) {
+        const now = new Date().toISOString();
+        let total = this.botGaps.reduce((sum, gap) => sum + this.overlap(gap.from, gap.to, start), 0);
+        if (this.botOfflineSince) {
+            total += this.overlap(this.botOfflineSince, now, start);
+        }
+        return total;
+    }
+
+    getPeriodStart(period) {
+        const length = PERIODS[period] ?? Infinity;
+        return length === Infinity ? 0 : Date.now() - length;
+    }
+
+    sumSessions(sessions, start) {
+        return sessions.reduce((sum, session) => sum + this.overlap(session.joinedAt, session.leftAt || session.endsAt, start), 0);
+    }
+
+    overlap(from, to, start) {
+        const begin = Math.max(new Date(from).getTime(), start);
+        return Math.max(0, new Date(to).getTime() - begin);
+    }
+}
+
+module.exports = PlayerSessions;
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'player-stats' });
+
+const ADVANCEMENT_TYPES = {
+    'chat.type.advancement.task': 'task',
+    'chat.type.advancement.goal': 'goal',
+    'chat.type.advancement.challenge': 'challenge'
+};
+
+// Language keys under death.* that aren't death messages
+const IGNORED_DEATH_KEYS = /\.link$|message_too_long/;
+
+// ============================================================================
+// PLAYER STATS CLASS
+// ============================================================================
+
+class PlayerStats {
+    constructor() {
+        // Keyed by names and killer text from chat, so no prototype: a player called
+        // "constructor" or "__proto__" is just another key
+        this.players = Object.create(null);
+        this.templates = [];
+
+        this.instanceId = config.discord.instanceId;
+        this.statsFile = path.join('./cache', `player-stats-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.statsFile)) {
+                const data = fs.readFileSync(this.statsFile, 'utf8');
+                this.players = this.rebuild(JSON.parse(data).players);
+                logger.info(`Loaded stats for ${Object.keys(this.players).length} players from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load player stats:', error.message);
+            this.players = Object.create(null);
+        }
+    }
+
+    // Copies the saved maps onto prototype-less objects
+    rebuild(players) {
+        const rebuilt = Object.create(null);
+        for (const [key, stats] of Object.entries(players || {})) {
+            rebuilt[key] = {
+                ...stats,
+                causes: Object.assign(Object.create(null), stats.causes),
+                killers: Object.assign(Object.create(null), stats.killers),
+                weapons: Object.assign(Object.create(null), stats.weapons),
+                advancements: stats.advancements || []
+            };
+        }
+        return rebuilt;
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                players: this.players,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.statsFile, JSON.stringify(data, null, 2), 'utf8');
+            logger.debug('Saved player stats to file');
+        } catch (error) {
+            logger.error('Failed to save player stats:', error.message);
+        }
+    }
+
+    // ========================================================================
+    // TEMPLATES
+    // ========================================================================
+
+    // Builds text patterns from the client language file, for servers that
+    // re-send death and advancement messages as plain text instead of translations
+    setLanguage(language) {
+        if (!language) return;
+
+        const templates = [];
+        for (const [key, template] of Object.entries(language)) {
+            if (key.startsWith('death.') && !IGNORED_DEATH_KEYS.test(key)) {
+                templates.push({ key, template, regex: this.compileTemplate(template) });
+            } else if (ADVANCEMENT_TYPES[key]) {
+                templates.push({ key, template, regex: this.compileTemplate(template) });
+            }
+        }
+
+        // Longest first so "slain by X using Y" wins over "slain by X"
+        this.templates = templates.sort((a, b) => b.template.length - a.template.length);
+        logger.debug(`Loaded ${this.templates.length} death and advancement message templates`);
+    }
+
+    compileTemplate(template) {
+        let position = 0;
+        const pattern = template
+            .split(/(%(?:\d+\$)?s)/)
+            .map(part => {
+                const placeholder = part.match(/^%(?:(\d+)\$)?s$/);
+                if (!placeholder) {
+                    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }
+                const index = placeholder[1] ? parseInt(placeholder[1]) : ++position;
+                // The victim or advancing player is always the first argument and is a plain username
+                return index === 1 ? `(?<a${index}>\\w{1,16})` : `(?<a${index}>.+?)`;
+            })
+            .join('');
+        return new RegExp(`^${pattern}$`);
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    parse(message, component = null) {
+        // A translated component is exact, so prefer it over matching text
+        if (component && typeof component.translate === 'string') {
+            const args = (component.with || []).map(arg => this.componentText(arg));
+            const parsed = this.fromKey(component.translate, args);
+            if (parsed) return parsed;
+        }
+
+        for (const { key, regex } of this.templates) {
+            const match = message.match(regex);
+            if (match) {
+                const groups = match.groups || {};
+                return this.fromKey(key, [groups.a1, groups.a2, groups.a3]);
+            }
+        }
+        return null;
+    }
+
+    fromKey(key, args) {
+        if (ADVANCEMENT_TYPES[key]) {
+            if (!args[0] || !args[1]) return null;
+            return {
+                type: 'advancement',
+                player: args[0],
+                advancement: this.stripBrackets(args[1]),
+                category: ADVANCEMENT_TYPES[key]
+            };
+        }
+
+        if (key.startsWith('death.') && !IGNORED_DEATH_KEYS.test(key)) {
+            if (!args[0]) return null;
+            return {
+                type: 'death',
+                player: args[0],
+                cause: key.replace(/^death\.(attack\.)?/, '').replace(/(\.(item|player|message))+$/, ''),
+                killer: args[1] || null,
+                weapon: args[2] ? this.stripBrackets(args[2]) : null
+            };
+        }
+
+        return null;
+    }
+
+    componentText(component) {
+        if (component === null || component === undefined) return null;
+        if (typeof component !== 'object') return String(component);
+        return typeof component.toString === 'function' && component.toString !== Object.prototype.toString
+            ? component.toString()
+            : String(component.text ?? '');
+    }
+
+    stripBrackets(text) {
+        return String(text).replace(/^\[(.*)\]$/, '$1');
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    recordMessage(message, component = null, onlinePlayers = null) {
+        const event = this.parse(message, component);
+        if (!event) return null;
+
+        if (event.type === 'death') {
+            this.recordDeath(event, message, onlinePlayers);
+        } else {
+            this.recordAdvancement(event);
+        }
+        this.save();
+        return event;
+    }
+
+    recordDeath(event, message, onlinePlayers) {
+        const stats = this.getOrCreate(event.player);
+        stats.deaths++;
+        this.increment(stats.causes, event.cause);
+        if (event.killer) {
+            this.increment(stats.killers, event.killer);
+        }
+        if (event.weapon) {
+            this.increment(stats.weapons, event.weapon);
+        }
+        stats.lastDeath = { message, at: new Date().toISOString() };
+
+        // Count PvP kills for the killer when they're a player we can see
+        if (event.killer && onlinePlayers && onlinePlayers.has(event.killer)) {
+            this.getOrCreate(event.killer).kills++;
+        }
+
+        logger.debug(`Recorded death of ${event.player} (${event.cause})`);
+    }
+
+    recordAdvancement(event) {
+        const stats = this.getOrCreate(event.player);
+        if (stats.advancements.some(a => a.name === event.advancement)) return;
+
+        stats.advancements.push({
+            name: event.advancement,
+            category: event.category,
+            at: new Date().toISOString()
+        });
+        logger.debug(`Recorded advancement "${event.advancement}" for ${event.player}`);
+    }
+
+    increment(counts, key) {
+        counts[key] = (Object.hasOwn(counts, key) ? counts[key] : 0) + 1;
+    }
+
+    getOrCreate(name) {
+        const key = name.toLowerCase();
+        if (!Object.hasOwn(this.players, key)) {
+            this.players[key] = {
+                name,
+                deaths: 0,
+                kills: 0,
+                causes: Object.create(null),
+                killers: Object.create(null),
+                weapons: Object.create(null),
+                lastDeath: null,
+                advancements: []
+            };
+        }
+        this.players[key].name = name;
+        return this.players[key];
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    get(name) {
+        const key = name.toLowerCase();
+        return Object.hasOwn(this.players, key) ? this.players[key] : null;
+    }
+
+    getTopCounts(counts, limit = 5) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([name, count]) => ({ name, count }));
+    }
+
+    getLeaderboard(stat = 'deaths', limit = 10) {
+        const value = (stats) => stat === 'advancements' ? stats.advancements.length : stats[stat];
+        return Object.values(this.players)
+            .filter(stats => value(stats) > 0)
+            .sort((a, b) => value(b) - value(a))
+            .slice(0, limit)
+            .map(stats => ({ name: stats.name, count: value(stats) }));
+    }
+}
+
+module.exports = PlayerStats;
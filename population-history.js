@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'population-history' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const RANGES = {
+    day: DAY_MS,
+    week: 7 * DAY_MS,
+    month: 30 * DAY_MS,
+    year: 365 * DAY_MS
+};
+
+// ============================================================================
+// POPULATION HISTORY CLASS
+// ============================================================================
+
+class PopulationHistory {
+    constructor() {
+        // Raw samples as [time, count]
+        this.samples = [];
+        // Hourly rollups as [hourStart, min, max, sum, sampleCount] - kept much longer than raw samples
+        this.hourly = [];
+        this.sampleInterval = null;
+
+        this.instanceId = config.discord.instanceId;
+        this.populationFile = path.join('./cache', `population-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.populationFile)) {
+                const data = JSON.parse(fs.readFileSync(this.populationFile, 'utf8'));
+                this.samples = data.samples || [];
+                this.hourly = data.hourly || [];
+                this.prune();
+                logger.info(`Loaded ${this.samples.length} population samples from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load population history:', error.message);
+            this.samples = [];
+            this.hourly = [];
+        }
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                samples: this.samples,
+                hourly: this.hourly,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.populationFile, JSON.stringify(data), 'utf8');
+            logger.debug('Saved population history to file');
+        } catch (error) {
+            logger.error('Failed to save population history:', error.message);
+        }
+    }
+
+    prune() {
+        const now = Date.now();
+        const rawCutoff = now - config.population.rawRetentionDays * DAY_MS;
+        const hourlyCutoff = now - config.population.retentionDays * DAY_MS;
+
+        this.samples = this.samples.filter(([time]) => time >= rawCutoff);
+        this.hourly = this.hourly.filter(([time]) => time >= hourlyCutoff);
+    }
+
+    // ========================================================================
+    // SAMPLING
+    // ========================================================================
+
+    start(getCount) {
+        if (this.sampleInterval) return;
+
+        this.sampleInterval = setInterval(() => {
+            const count = getCount();
+            if (count !== null) {
+                this.record(count);
+            }
+        }, config.population.sampleInterval);
+        this.sampleInterval.unref();
+    }
+
+    stop() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+    }
+
+    record(count, time = Date.now()) {
+        this.samples.push([time, count]);
+
+        const hourStart = time - (time % HOUR_MS);
+        const last = this.hourly[this.hourly.length - 1];
+        if (last && last[0] === hourStart) {
+            last[1] = Math.min(last[1], count);
+            last[2] = Math.max(last[2], count);
+            last[3] += count;
+            last[4]++;
+        } else {
+            this.hourly.push([hourStart, count, count, count, 1]);
+            this.prune();
+        }
+
+        this.save();
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    isValidRange(range) {
+        return Object.prototype.hasOwnProperty.call(RANGES, range);
+    }
+
+    getRanges() {
+        return Object.keys(RANGES);
+    }
+
+    // Downsampled to at most maxPoints buckets of { t, min, max, avg }
+    getSeries(range = 'day', maxPoints = config.population.maxPoints) {
+        const now = Date.now();
+        const start = now - RANGES[range];
+        const source = this.getSource(range, start);
+
+        const resolution = this.useRawSamples(range) ? config.population.sampleInterval : HOUR_MS;
+        const bucketSize = Math.max(resolution, Math.ceil(RANGES[range] / maxPoints));
+
+        const buckets = new Map();
+        for (const point of source) {
+            const bucketStart = start + Math.floor((point.t - start) / bucketSize) * bucketSize;
+            const bucket = buckets.get(bucketStart);
+            if (bucket) {
+                bucket.min = Math.min(bucket.min, point.min);
+                bucket.max = Math.max(bucket.max, point.max);
+                bucket.sum += point.sum;
+                bucket.n += point.n;
+            } else {
+                buckets.set(bucketStart, { ...point, t: bucketStart });
+            }
+        }
+
+        return {
+            range,
+            start,
+            end: now,
+            bucketSize,
+            points: Array.from(buckets.values()).map(({ t, min, max, sum, n }) => ({
+                t,
+                min,
+                max,
+                avg: Math.round((sum / n) * 10) / 10
+            }))
+        };
+    }
+
+    getSummary(range = 'day') {
+        const start = Date.now() - RANGES[range];
+        const source = this.getSource(range, start);
+
+        let peak = null;
+        let sum = 0;
+        let n = 0;
+        const days = new Map();
+
+        for (const point of source) {
+            if (!peak || point.max > peak.count) {
+                peak = { count: point.max, t: point.peakTime };
+            }
+            sum += point.sum;
+            n += point.n;
+
+            const day = new Date(point.t).toISOString().substring(0, 10);
+            const daily = days.get(day) || { day, sum: 0, n: 0, peak: 0 };
+            daily.sum += point.sum;
+            daily.n += point.n;
+            daily.peak = Math.max(daily.peak, point.max);
+            days.set(day, daily);
+        }
+
+        return {
+            range,
+            peak,
+            average: n > 0 ? Math.round((sum / n) * 10) / 10 : null,
+            samples: n,
+            daily: Array.from(days.values()).map(({ day, sum: daySum, n: dayCount, peak: dayPeak }) => ({
+                day,
+                average: Math.round((daySum / dayCount) * 10) / 10,
+                peak: dayPeak
+            }))
+        };
+    }
+
+    useRawSamples(range) {
+        return RANGES[range] <= config.population.rawRetentionDays * DAY_MS;
+    }
+
+    // Raw samples while we still have them, hourly rollups for longer ranges
+    getSource(range, start) {
+        if (this.useRawSamples(range)) {
+            return this.samples
+                .filter(([time]) => time >= start)
+                .map(([time, count]) => ({ t: time, min: count, max: count, sum: count, n: 1, peakTime: time }));
+        }
+
+        return this.hourly
+            .filter(([time]) => time >= start - HOUR_MS)
+            .map(([time, min, max, sum, n]) => ({ t: Math.max(time, start), min, max, sum, n, peakTime: time }));
+    }
+}
+
+module.exports = PopulationHistory;
@@ -0,0 +1,86 @@
+const { Server } = require('socket.io');
+const logger = require('./logger').child({ module: 'realtime' });
+
+const NAMESPACE = '/live';
+
+// Open sockets outlive the session cookie, so re-check their sessions this often
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+
+// ============================================================================
+// REALTIME CLASS
+// ============================================================================
+
+// Socket.IO namespace the dashboard listens on instead of polling. Sockets need
+// the same logged-in session cookie as the dashboard pages.
+class Realtime {
+    constructor(httpServer, sessionMiddleware, options = {}) {
+        this.getSnapshot = options.getSnapshot || (() => ({}));
+
+        this.io = new Server(httpServer);
+        // Gives every handshake request the express-session as socket.request.session
+        this.io.engine.use(sessionMiddleware);
+
+        this.namespace = this.io.of(NAMESPACE);
+        this.namespace.use((socket, next) => {
+            if (socket.request.session?.authenticated) return next();
+            next(new Error('Authentication required'));
+        });
+        this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+        this.sessionCheckInterval = setInterval(() => this.checkSessions(), SESSION_CHECK_INTERVAL);
+        this.sessionCheckInterval.unref();
+    }
+
+    // ========================================================================
+    // CONNECTIONS
+    // ========================================================================
+
+    handleConnection(socket) {
+        const sessionId = socket.request.session.id;
+        socket.join(`session:${sessionId}`);
+        logger.debug(`Live dashboard connected (${this.getClientCount()} open)`);
+
+        // Everything the page needs to catch up; chat history comes from /chat-logs
+        socket.emit('snapshot', this.getSnapshot());
+
+        socket.on('disconnect', (reason) => {
+            logger.debug(`Live dashboard disconnected: ${reason}`);
+        });
+    }
+
+    checkSessions() {
+        for (const socket of this.namespace.sockets.values()) {
+            const session = socket.request.session;
+            session.reload((error) => {
+                if (error || !session.authenticated) {
+                    socket.disconnect(true);
+                }
+            });
+        }
+    }
+
+    // Called on logout so that session's open pages stop receiving updates
+    disconnectSession(sessionId) {
+        this.namespace.in(`session:${sessionId}`).disconnectSockets(true);
+    }
+
+    getClientCount() {
+        return this.namespace.sockets.size;
+    }
+
+    // ========================================================================
+    // PUBLISHING
+    // ========================================================================
+
+    emit(event, data) {
+        if (this.getClientCount() === 0) return;
+        this.namespace.emit(event, data);
+    }
+
+    close() {
+        clearInterval(this.sessionCheckInterval);
+        this.namespace.disconnectSockets(true);
+    }
+}
+
+module.exports = Realtime;
@@ -0,0 +1,265 @@
+// Repeats allowing more than this many matches count as wide: two of them over the same
+// characters make the engine try every way of splitting the text between them
+const WIDE_REPEAT = 10;
+
+// Characters each atom is tested against to see whether two atoms can match the same text
+const SAMPLE_CHARACTERS = Array.from({ length: 128 }, (_, code) => String.fromCharCode(code))
+    .concat([' ', 'é', 'ß', 'Ω', '€', ' ', '\ud83d']);
+
+const QUANTIFIER = /^(?:\*|\+|\?|\{(\d+)(?:(,)(\d*))?\})\??/;
+
+// ============================================================================
+// SAFE REGEX CLASS
+// ============================================================================
+
+// User-supplied patterns run on the main event loop against every chat line, so one
+// that backtracks badly would freeze the whole bridge. The pattern is parsed and
+// rejected when it has a shape that backtracks exponentially or polynomially:
+// backreferences, a repeated group that itself contains a repeat or alternatives,
+// like (a+)+ or (a|aa)*, and two wide repeats that can match the same characters
+// without something between them that the first can't match, like .*.*x or \w+.*$
+class SafeRegex {
+    // Throws with a message fit to show the user when the pattern is invalid or unsafe
+    compile(pattern, flags = '') {
+        // SyntaxError messages already read "Invalid regular expression: /.../: ..."
+        const regex = new RegExp(pattern, flags);
+
+        const problem = this.findProblem(pattern, flags);
+        if (problem) {
+            throw new Error(`Regular expression is too expensive to run: ${problem}`);
+        }
+        return regex;
+    }
+
+    isSafe(pattern, flags = '') {
+        return this.findProblem(pattern, flags) === null;
+    }
+
+    // Assumes the pattern already compiled with these flags
+    findProblem(pattern, flags = '') {
+        const tree = this.parse(pattern, flags);
+        const wide = [];
+        let problem = null;
+
+        const visit = (node, ancestors) => {
+            if (problem) return;
+            if (node.type === 'backreference') {
+                problem = 'backreferences are not allowed';
+                return;
+            }
+
+            if (node.type === 'group' && node.quantifier.max > 1) {
+                if (this.contains(node.body, child => child.quantifier?.max > 1)) {
+                    problem = 'a repeated group contains another repeat';
+                    return;
+                }
+                if (this.contains(node.body, child => child.type === 'alternation' && child.options.length > 1, true)) {
+                    problem = 'a repeated group contains alternatives';
+                    return;
+                }
+            }
+
+            if (node.quantifier && node.quantifier.max > WIDE_REPEAT) {
+                wide.push({ node, ancestors });
+            }
+
+            const children = node.type === 'alternation' ? node.options
+                : node.type === 'sequence' ? node.items
+                : node.type === 'group' ? [node.body]
+                : [];
+            children.forEach((child, index) => visit(child, ancestors.concat({ node, index })));
+        };
+        visit(tree, []);
+        if (problem) return problem;
+
+        for (let i = 0; i < wide.length; i++) {
+            for (let j = i + 1; j < wide.length; j++) {
+                if (this.canOverlap(wide[i], wide[j])) {
+                    return 'two repeats can match the same characters, like .*.*';
+                }
+            }
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // OVERLAP
+    // ========================================================================
+
+    // first comes before second in the pattern
+    canOverlap(first, second) {
+        if (!this.sharesCharacters(this.getCharacters(first.node), this.getCharacters(second.node))) {
+            return false;
+        }
+
+        // Where the two paths split: different alternatives never run together, and in a
+        // sequence anything required in between that the first repeat can't match pins
+        // down where it ends
+        let depth = 0;
+        while (depth < first.ancestors.length && depth < second.ancestors.length &&
+            first.ancestors[depth].node === second.ancestors[depth].node &&
+            first.ancestors[depth].index === second.ancestors[depth].index) {
+            depth++;
+        }
+        const split = first.ancestors[depth];
+        const other = second.ancestors[depth];
+        if (!split || !other) return true;
+        if (split.node.type === 'alternation') return false;
+        if (split.node.type !== 'sequence') return true;
+
+        const characters = this.getCharacters(first.node);
+        return !split.node.items.slice(split.index + 1, other.index)
+            .some(item => this.isSeparator(item, characters));
+    }
+
+    isSeparator(node, characters) {
+        if (node.quantifier.min < 1) return false;
+        if (node.type === 'atom') return !this.sharesCharacters(node.characters, characters);
+        if (node.type === 'group' && !node.lookaround && node.body.options.length === 1) {
+            return node.body.options[0].items.some(item => this.isSeparator(item, characters));
+        }
+        return false;
+    }
+
+    getCharacters(node) {
+        if (node.type === 'atom') return node.characters;
+
+        const characters = SAMPLE_CHARACTERS.map(() => false);
+        this.contains(node, (child) => {
+            if (child.type === 'atom') {
+                child.characters.forEach((matches, index) => {
+                    characters[index] = characters[index] || matches;
+                });
+            }
+            return false;
+        });
+        return characters;
+    }
+
+    sharesCharacters(a, b) {
+        return a.some((matches, index) => matches && b[index]);
+    }
+
+    // Calls test on every node below (not including) node; stops once it returns true
+    contains(node, test, includeSelf = false) {
+        if (includeSelf && test(node)) return true;
+        const children = node.type === 'alternation' ? node.options
+            : node.type === 'sequence' ? node.items
+            : node.type === 'group' ? [node.body]
+            : [];
+        return children.some(child => test(child) || this.contains(child, test));
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    // Builds alternation > sequence > (group | atom | assertion | backreference) nodes.
+    // Every term has a quantifier { min, max }; unquantified ones are { 1, 1 }.
+    parse(pattern, flags) {
+        let i = 0;
+        // The same flags decide what an atom matches, minus the ones that change how a
+        // whole pattern is applied
+        const atomFlags = flags.replace(/[gyd]/g, '');
+
+        const parseAlternation = () => {
+            const options = [parseSequence()];
+            while (pattern[i] === '|') {
+                i++;
+                options.push(parseSequence());
+            }
+            return { type: 'alternation', options };
+        };
+
+        const parseSequence = () => {
+            const items = [];
+            while (i < pattern.length && pattern[i] !== '|' && pattern[i] !== ')') {
+                items.push(parseTerm());
+            }
+            return { type: 'sequence', items };
+        };
+
+        const parseTerm = () => {
+            const start = i;
+            const char = pattern[i];
+            let node;
+
+            if (char === '(') {
+                i++;
+                let lookaround = false;
+                if (pattern[i] === '?') {
+                    const named = pattern.slice(i).match(/^\?<[A-Za-z_$][\w$]*>/);
+                    if (named) {
+                        i += named[0].length;
+                    } else {
+                        lookaround = pattern[i + 1] !== ':';
+                        i += pattern[i + 1] === '<' ? 3 : 2;
+                    }
+                }
+                const body = parseAlternation();
+                i++;
+                node = { type: 'group', body, lookaround };
+            } else if (char === '[') {
+                i++;
+                while (i < pattern.length && pattern[i] !== ']') {
+                    i += pattern[i] === '\\' ? 2 : 1;
+                }
+                i++;
+                node = this.createAtom(pattern.slice(start, i), atomFlags);
+            } else if (char === '\\') {
+                const next = pattern[i + 1];
+                if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+                    i = pattern.length;
+                    return { type: 'backreference', quantifier: { min: 1, max: 1 } };
+                }
+                const escape = pattern.slice(i).match(/^\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|c[A-Za-z]|[pP]\{[^}]*\}|[\s\S])/);
+                i += escape[0].length;
+                node = /^\\[bB]$/.test(escape[0])
+                    ? { type: 'assertion' }
+                    : this.createAtom(escape[0], atomFlags);
+            } else if (char === '^' || char === '$') {
+                i++;
+                node = { type: 'assertion' };
+            } else {
+                i++;
+                node = this.createAtom(char, atomFlags);
+            }
+
+            node.quantifier = { min: 1, max: 1 };
+            const quantifier = pattern.slice(i).match(QUANTIFIER);
+            if (quantifier) {
+                i += quantifier[0].length;
+                node.quantifier = this.readQuantifier(quantifier);
+            }
+            return node;
+        };
+
+        return parseAlternation();
+    }
+
+    readQuantifier(match) {
+        const symbol = match[0][0];
+        if (symbol === '*') return { min: 0, max: Infinity };
+        if (symbol === '+') return { min: 1, max: Infinity };
+        if (symbol === '?') return { min: 0, max: 1 };
+
+        const min = parseInt(match[1]);
+        if (!match[2]) return { min, max: min };
+        return { min, max: match[3] ? parseInt(match[3]) : Infinity };
+    }
+
+    // Lets the regex engine itself say which sample characters the atom matches
+    createAtom(source, flags) {
+        let characters;
+        try {
+            const regex = new RegExp(`^(?:${source})$`, flags);
+            characters = SAMPLE_CHARACTERS.map(char => regex.test(char));
+        } catch (error) {
+            // Only a literal that means something else on its own, so assume the worst
+            characters = SAMPLE_CHARACTERS.map(() => true);
+        }
+        return { type: 'atom', source, characters };
+    }
+}
+
+module.exports = new SafeRegex();
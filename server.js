@@ -1,8 +1,35 @@
 const express = require('express');
+const session = require('express-session');
+const crypto = require('crypto');
+const { monitorEventLoopDelay } = require('perf_hooks');
 const MinecraftBot = require('./minecraft-bot');
 const DiscordClient = require('./discord-client');
+const ChatHistory = require('./chat-history');
+const AuditLog = require('./audit-log');
+const LoginLimiter = require('./login-limiter');
+const ApiTokens = require('./api-tokens');
+const Realtime = require('./realtime');
+const chatExport = require('./chat-export');
+const openApi = require('./openapi');
+const safeRegex = require('./safe-regex');
+const metrics = require('./metrics');
 const config = require('./config');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'server' });
+
+// Accepted by POST /bot/look, matching the /look command choices
+const LOOK_DIRECTIONS = ['north', 'south', 'east', 'west', 'up', 'down', 'random'];
+
+// /health keeps answering 200 for existing platform checks; its status follows /readyz
+const HEALTH_STATUSES = { pass: 'healthy', warn: 'degraded', fail: 'unhealthy' };
+
+// How often the event loop delay is sampled; every sample includes this interval
+const EVENT_LOOP_RESOLUTION = 20;
+
+// /livez reports the worst event loop delay of the last complete window this long
+const EVENT_LOOP_WINDOW = 10 * 1000;
+
+// Every value MinecraftBot.connectionState can take, each exported as its own series
+const CONNECTION_STATES = ['idle', 'connecting', 'authenticating', 'connected', 'reconnecting', 'disconnecting', 'error'];
 
 console.log(`
 ██████╗  ██████╗  ██████╗  ██████╗  ██████╗
@@ -20,10 +47,31 @@ class MinecraftDiscordBridge {
         this.isShuttingDown = false;
         this.app = express();
         this.server = null;
+        this.realtime = null;
         this.startTime = Date.now();
         this.authSent = false;
-        this.chatLogs = [];
-        this.maxChatLogs = 10000;
+        this.chatHistory = new ChatHistory({
+            onEntry: (entry) => this.publish('chat', entry)
+        });
+        this.auditLog = new AuditLog();
+        this.loginLimiter = new LoginLimiter();
+        this.apiTokens = new ApiTokens();
+        this.deprecatedRoutesUsed = new Set();
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+        this.eventLoopDelay.enable();
+        this.lastEventLoopDelay = 0;
+        this.slowEventLoopWindows = 0;
+        // Sampled on a timer rather than per request, so several probers don't shorten each other's window
+        this.eventLoopInterval = setInterval(() => {
+            this.lastEventLoopDelay = Math.max(0, Math.round(this.eventLoopDelay.max / 1e6) - EVENT_LOOP_RESOLUTION);
+            this.eventLoopDelay.reset();
+            this.slowEventLoopWindows = this.lastEventLoopDelay > config.health.eventLoopDelay
+                ? this.slowEventLoopWindows + 1
+                : 0;
+        }, EVENT_LOOP_WINDOW);
+        this.eventLoopInterval.unref();
+
+        this.setupMetrics();
 
         // Setup web server IMMEDIATELY in constructor for Render.com
         this.setupWebServer();
@@ -43,7 +91,7 @@ class MinecraftDiscordBridge {
                 this.discordClient = null;
             }
 
-            this.minecraftBot = new MinecraftBot(this.discordClient);
+            this.minecraftBot = new MinecraftBot(this.discordClient, this);
 
             if (this.discordClient) {
                 this.discordClient.setMinecraftBot(this.minecraftBot);
@@ -127,66 +175,94 @@ class MinecraftDiscordBridge {
     }
 
     logChatMessage(sender, message, isServerMessage = false) {
-        const timestamp = new Date().toISOString();
-        const now = Date.now();
-        const batchKey = Math.floor(now / 2000); // 2-second batching window
-
-        // If this is a server message and we have recent server messages, batch them
-        if (isServerMessage && this.chatLogs.length > 0) {
-            const lastLog = this.chatLogs[this.chatLogs.length - 1];
-            const lastTime = new Date(lastLog.timestamp).getTime();
-            const timeDiff = now - lastTime;
-
-            // If last message was also a server message within 2 seconds, append to it
-            if (lastLog.isServerMessage && timeDiff < 2000) {
-                lastLog.message += '\n' + message;
-                lastLog.timestamp = timestamp; // Update timestamp to latest
-                lastLog.displayTime = new Date().toLocaleString('en-US', {
-                    month: '2-digit',
-                    day: '2-digit',
-                    year: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: true
-                });
-                return;
-            }
+        this.chatHistory.record(sender, message, isServerMessage);
+    }
+
+    // Pushes an event to dashboards connected over Socket.IO
+    publish(event, data) {
+        if (this.realtime) {
+            this.realtime.emit(event, data);
         }
+    }
 
-        // Otherwise, create a new log entry
-        const logEntry = {
-            timestamp,
-            sender,
-            message,
-            isServerMessage,
-            displayTime: new Date().toLocaleString('en-US', {
-                month: '2-digit',
-                day: '2-digit',
-                year: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-second',
-                hour12: true
-            })
+    publishStatus() {
+        this.publish('status', this.getStatus());
+    }
+
+    getLiveSnapshot() {
+        return {
+            status: this.getStatus(),
+            vitals: this.minecraftBot?.getVitals() || null,
+            reconnect: this.minecraftBot?.getReconnectProgress() || null
         };
+    }
+
+    getWebActor(req) {
+        if (req.auth?.type === 'token') {
+            return { type: 'token', id: req.auth.token.id, name: `token:${req.auth.token.name}` };
+        }
+        return { type: 'web', id: req.sessionID || req.ip, name: `web@${req.ip}` };
+    }
+
+    // Runs a /bot control action and audits how it went. action() returns the success
+    // message; errors carrying a status are reported with it instead of 500.
+    async runBotAction(req, res, name, args, { requireConnection = true }, action) {
+        if (!this.minecraftBot || (requireConnection && !this.minecraftBot.isConnected)) {
+            this.recordWebAudit(req, name, args, 'failed', 'Bot not connected');
+            return res.status(503).json({
+                error: 'Bot not connected to Minecraft server'
+            });
+        }
 
-        this.chatLogs.push(logEntry);
+        try {
+            const message = await action();
+            this.recordWebAudit(req, name, args, 'success');
+            res.json({
+                success: true,
+                message
+            });
+        } catch (error) {
+            this.recordWebAudit(req, name, args, 'failed', error.message);
+            res.status(error.status || 500).json({
+                error: error.message
+            });
+        }
+    }
 
-        // Keep only last 500 messages
-        if (this.chatLogs.length > 500) {
-            this.chatLogs.shift();
+    recordWebAudit(req, action, args, result, detail = null) {
+        try {
+            this.auditLog.record({ actor: this.getWebActor(req), source: 'web', action, args, result, detail });
+        } catch (error) {
+            logger.error('Failed to record audit log entry:', error);
         }
     }
 
     setupWebServer() {
+        if (config.web.trustProxy) {
+            this.app.set('trust proxy', config.web.trustProxy);
+        } else {
+            // Behind a proxy every client shares the proxy's address, so one bad password
+            // streak would lock everyone out, and the proxy's HTTPS goes unseen, so the
+            // session cookie is sent without Secure - point that out once
+            let warned = false;
+            this.app.use((req, res, next) => {
+                if (!warned && req.get('x-forwarded-for')) {
+                    warned = true;
+                    logger.warn('Requests arrive through a proxy but TRUST_PROXY is not set - login limits apply to the proxy address and the session cookie is not marked Secure even over HTTPS. Set TRUST_PROXY to the number of proxies');
+                }
+                next();
+            });
+        }
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
 
+        this.setupAuthentication();
+        this.setupApiV1();
+
         // ====================================================================
         // HOME PAGE - DASHBOARD
         // ====================================================================
-        this.app.get('/', (req, res) => {
+        this.app.get('/', this.requireSession(), (req, res) => {
             const status = this.getStatus();
             const position = this.minecraftBot?.bot?.entity?.position;
             const dimension = this.minecraftBot?.bot?.game?.dimension || 'Unknown';
@@ -428,32 +504,37 @@ class MinecraftDiscordBridge {
         <div class="header">
             <h1>Minecraft Monitoring</h1>
             <p>Monitoring by doggo</p>
+            <p id="liveStatus" style="font-size: 0.9em; margin-top: 5px;">○ Connecting to live updates...</p>
         </div>
 
         <div class="grid">
             <!-- Bot Status Card -->
             <div class="card">
                 <div class="card-title">
-                    <span class="status-indicator status-${status.bot.connected ? 'online' : 'offline'}"></span>
+                    <span id="botIndicator" class="status-indicator status-${status.bot.connected ? 'online' : 'offline'}"></span>
                     Bot Status
                 </div>
                 <div class="info-row">
                     <span class="info-label">Connection</span>
-                    <span class="badge ${status.bot.connected ? 'badge-success' : 'badge-danger'}">
+                    <span id="botConnection" class="badge ${status.bot.connected ? 'badge-success' : 'badge-danger'}">
                         ${status.bot.connected ? '✓ Online' : '✗ Offline'}
                     </span>
                 </div>
                 <div class="info-row">
                     <span class="info-label">Username</span>
-                    <span class="info-value">${status.bot.username}</span>
+                    <span id="botUsername" class="info-value">${status.bot.username}</span>
                 </div>
                 <div class="info-row">
                     <span class="info-label">State</span>
-                    <span class="info-value">${status.bot.state}</span>
+                    <span id="botState" class="info-value">${status.bot.state}</span>
+                </div>
+                <div id="reconnectRow" class="info-row" style="display: none;">
+                    <span class="info-label">Reconnect</span>
+                    <span id="reconnectInfo" class="info-value"></span>
                 </div>
                 <div class="info-row">
                     <span class="info-label">Uptime</span>
-                    <span class="info-value">${uptimeDisplay}</span>
+                    <span id="uptime" class="info-value">${uptimeDisplay}</span>
                 </div>
             </div>
 
@@ -472,18 +553,16 @@ class MinecraftDiscordBridge {
                     <span class="info-label">Version</span>
                     <span class="info-value">${status.server.version}</span>
                 </div>
-                ${status.bot.connected ? `
-                <div class="info-row">
+                <div id="dimensionRow" class="info-row" style="display: ${status.bot.connected ? 'flex' : 'none'};">
                     <span class="info-label">Dimension</span>
-                    <span class="info-value">${dimension}</span>
+                    <span id="serverDimension" class="info-value">${dimension}</span>
                 </div>
-                ` : ''}
             </div>
 
             <!-- Discord Status Card -->
             <div class="card">
                 <div class="card-title">
-                    <span class="status-indicator status-${status.discord.connected ? 'online' : 'offline'}"></span>
+                    <span id="discordIndicator" class="status-indicator status-${status.discord.connected ? 'online' : 'offline'}"></span>
                     Discord Integration
                 </div>
                 <div class="info-row">
@@ -494,7 +573,7 @@ class MinecraftDiscordBridge {
                 </div>
                 <div class="info-row">
                     <span class="info-label">Connection</span>
-                    <span class="badge ${status.discord.connected ? 'badge-success' : 'badge-danger'}">
+                    <span id="discordConnection" class="badge ${status.discord.connected ? 'badge-success' : 'badge-danger'}">
                         ${status.discord.connected ? '✓ Connected' : '✗ Disconnected'}
                     </span>
                 </div>
@@ -502,8 +581,8 @@ class MinecraftDiscordBridge {
 
             <!-- Players Card -->
             <div class="card">
-                <div class="card-title">👥 Online Players (${status.players.length})</div>
-                <div class="players-list">
+                <div class="card-title">👥 Online Players (<span id="playerCount">${status.players.length}</span>)</div>
+                <div id="playersList" class="players-list">
                     ${status.players.length > 0 ? status.players.map(player => `
                         <div class="player-item">
                             <img class="player-avatar" src="https://mc-heads.net/avatar/${player}/32" alt="${player}">
@@ -513,51 +592,89 @@ class MinecraftDiscordBridge {
                 </div>
             </div>
 
-            ${status.bot.connected ? `
-            <!-- Position Card -->
-            <div class="card">
+            <!-- Position Card (hidden while the bot is offline) -->
+            <div id="positionCard" class="card" style="display: ${status.bot.connected ? 'block' : 'none'};">
                 <div class="card-title">📍 Bot Position</div>
-                ${position ? `
-                <div class="stats-grid">
+                <div id="positionGrid" class="stats-grid" style="display: ${position ? 'grid' : 'none'};">
                     <div class="stat-box">
-                        <div class="stat-value">${Math.round(position.x)}</div>
+                        <div id="positionX" class="stat-value">${position ? Math.round(position.x) : ''}</div>
                         <div class="stat-label">X Coordinate</div>
                     </div>
                     <div class="stat-box">
-                        <div class="stat-value">${Math.round(position.y)}</div>
+                        <div id="positionY" class="stat-value">${position ? Math.round(position.y) : ''}</div>
                         <div class="stat-label">Y Coordinate</div>
                     </div>
                     <div class="stat-box">
-                        <div class="stat-value">${Math.round(position.z)}</div>
+                        <div id="positionZ" class="stat-value">${position ? Math.round(position.z) : ''}</div>
                         <div class="stat-label">Z Coordinate</div>
                     </div>
                     <div class="stat-box">
-                        <div class="stat-value">${dimension}</div>
+                        <div id="positionDimension" class="stat-value">${dimension}</div>
                         <div class="stat-label">Dimension</div>
                     </div>
                 </div>
-                ` : '<p style="text-align: center; color: #999;">Position unavailable</p>'}
+                <p id="positionUnavailable" style="text-align: center; color: #999; display: ${position ? 'none' : 'block'};">Position unavailable</p>
             </div>
 
-            <!-- Health Card -->
-            <div class="card">
+            <!-- Health Card (hidden while the bot is offline) -->
+            <div id="healthCard" class="card" style="display: ${status.bot.connected ? 'block' : 'none'};">
                 <div class="card-title">❤️ Bot Health</div>
                 <div class="info-row">
                     <span class="info-label">Health</span>
-                    <span class="info-value">${health}/20</span>
+                    <span id="healthValue" class="info-value">${health}/20</span>
                 </div>
                 <div class="health-bar">
-                    <div class="health-fill" style="width: ${(health/20)*100}%">${health} HP</div>
+                    <div id="healthFill" class="health-fill" style="width: ${(health/20)*100}%">${health} HP</div>
                 </div>
                 <div class="info-row" style="margin-top: 15px;">
                     <span class="info-label">Food</span>
-                    <span class="info-value">${food}/20</span>
+                    <span id="foodValue" class="info-value">${food}/20</span>
                 </div>
                 <div class="health-bar">
-                    <div class="health-fill" style="width: ${(food/20)*100}%; background: linear-gradient(90deg, #f59e0b, #fbbf24);">${food}</div>
+                    <div id="foodFill" class="health-fill" style="width: ${(food/20)*100}%; background: linear-gradient(90deg, #f59e0b, #fbbf24);">${food}</div>
                 </div>
             </div>
-            ` : ''}
+        </div>
+
+        <!-- Control Panel Card -->
+        <div class="card" style="grid-column: 1 / -1; margin-bottom: 20px;">
+            <div class="card-title">🎮 Bot Controls</div>
+            <div style="display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 15px;">
+                <button class="refresh-btn" onclick="botAction('/bot/connect')" style="margin: 0; padding: 8px 20px; background: #10b981; border-color: #10b981; color: white;">▶️ Connect</button>
+                <button class="refresh-btn" onclick="if (confirm('Stop the bot? It will not reconnect until you connect it again.')) botAction('/bot/disconnect')" style="margin: 0; padding: 8px 20px; background: #ef4444; border-color: #ef4444; color: white;">⛔ Disconnect</button>
+                <span style="border-left: 2px solid #e5e7eb; height: 30px;"></span>
+                <input type="number" id="walkBlocks" min="1" max="100" value="5" title="Blocks" style="width: 70px; padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <button class="refresh-btn bot-action" onclick="botAction('/bot/walk', { blocks: Number(document.getElementById('walkBlocks').value) })" style="margin: 0; padding: 8px 20px;" ${status.bot.connected ? '' : 'disabled'}>🚶 Walk</button>
+                <select id="jumpTimes" title="Jumps" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                    ${[1, 2, 3, 4, 5].map(times => `<option value="${times}">${times}×</option>`).join('')}
+                </select>
+                <button class="refresh-btn bot-action" onclick="botAction('/bot/jump', { times: Number(document.getElementById('jumpTimes').value) })" style="margin: 0; padding: 8px 20px;" ${status.bot.connected ? '' : 'disabled'}>🦘 Jump</button>
+                <select id="lookDirection" title="Direction" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                    ${LOOK_DIRECTIONS.map(direction => `<option value="${direction}">${direction.charAt(0).toUpperCase() + direction.slice(1)}</option>`).join('')}
+                </select>
+                <button class="refresh-btn bot-action" onclick="botAction('/bot/look', { direction: document.getElementById('lookDirection').value })" style="margin: 0; padding: 8px 20px;" ${status.bot.connected ? '' : 'disabled'}>👀 Look</button>
+                <button class="refresh-btn bot-action" onclick="botAction('/bot/stop')" style="margin: 0; padding: 8px 20px;" ${status.bot.connected ? '' : 'disabled'}>🛑 Stop</button>
+            </div>
+            <form onsubmit="sendChat(event)" style="display: flex; gap: 10px;">
+                <input type="text" id="chatInput" maxlength="256" placeholder="Say something in-game..." style="flex: 1; padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <button type="submit" class="refresh-btn bot-action" style="margin: 0; padding: 8px 20px;" ${status.bot.connected ? '' : 'disabled'}>💬 Send</button>
+            </form>
+            <div id="controlResult" style="display: none; margin-top: 10px; color: #666;"></div>
+        </div>
+
+        <!-- Population Chart Card -->
+        <div class="card" style="grid-column: 1 / -1;">
+            <div class="card-title">📈 Server Population</div>
+            <div style="display: flex; gap: 10px; align-items: center; margin-bottom: 15px;">
+                <select id="populationRange" onchange="loadPopulation()" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                    <option value="day">Last 24 hours</option>
+                    <option value="week">Last 7 days</option>
+                    <option value="month">Last 30 days</option>
+                    <option value="year">Last year</option>
+                </select>
+                <span id="populationSummary" style="color: #666;"></span>
+            </div>
+            <svg id="populationChart" viewBox="0 0 800 240" style="width: 100%; height: auto; background: #f8f9fa; border-radius: 10px;"></svg>
         </div>
 
         <!-- Chat Logs Card -->
@@ -565,28 +682,63 @@ class MinecraftDiscordBridge {
             <div class="card-title">💬 Recent Chat Messages</div>
             <div style="display: flex; gap: 10px; margin-bottom: 15px;">
                 <button class="refresh-btn" onclick="loadChatLogs()" style="margin: 0; padding: 8px 20px;">🔄 Refresh Logs</button>
-                <button class="refresh-btn" onclick="downloadLogs()" style="margin: 0; padding: 8px 20px; background: #10b981; border-color: #10b981;">📥 Download All Logs</button>
+                <button class="refresh-btn" onclick="downloadLogs()" style="margin: 0; padding: 8px 20px; background: #10b981; border-color: #10b981;">📥 Download Logs</button>
+                <select id="downloadFormat" title="Download format" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                    <option value="text">Text</option>
+                    <option value="html">HTML transcript</option>
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                </select>
                 <label style="display: flex; align-items: center; gap: 5px; color: #667eea; font-weight: 600;">
                     <input type="checkbox" id="autoRefresh" checked onchange="toggleAutoRefresh()">
-                    Auto-refresh (5s)
+                    Live updates
                 </label>
             </div>
+            <form id="chatSearch" onsubmit="searchChatLogs(event)" style="display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 15px;">
+                <input type="text" id="searchText" placeholder="Search messages..." style="flex: 2; min-width: 180px; padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <input type="text" id="searchSender" placeholder="Player" style="flex: 1; min-width: 120px; padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <select id="searchCategory" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                    <option value="">All messages</option>
+                    <option value="player">Player chat</option>
+                    <option value="server">Server messages</option>
+                </select>
+                <input type="datetime-local" id="searchSince" title="From" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <input type="datetime-local" id="searchUntil" title="To" style="padding: 8px; border: 2px solid #e5e7eb; border-radius: 8px;">
+                <label style="display: flex; align-items: center; gap: 5px; color: #667eea; font-weight: 600;">
+                    <input type="checkbox" id="searchRegex">
+                    Regex
+                </label>
+                <button type="submit" class="refresh-btn" style="margin: 0; padding: 8px 20px;">🔍 Search</button>
+                <button type="button" class="refresh-btn" onclick="clearSearch()" style="margin: 0; padding: 8px 20px; background: #6b7280; border-color: #6b7280;">✖ Clear</button>
+            </form>
+            <div id="searchStatus" style="display: none; margin-bottom: 10px; color: #666;"></div>
             <div id="chatLogs" style="max-height: 400px; overflow-y: auto; background: #f8f9fa; border-radius: 10px; padding: 15px;">
                 <p style="text-align: center; color: #999;">Loading chat logs...</p>
             </div>
+            <div id="searchPager" style="display: none; gap: 10px; margin-top: 10px;">
+                <button class="refresh-btn" id="newerButton" onclick="loadSearchPage('after')" style="margin: 0; padding: 8px 20px;">⬆ Newer</button>
+                <button class="refresh-btn" id="olderButton" onclick="loadSearchPage('before')" style="margin: 0; padding: 8px 20px;">⬇ Older</button>
+            </div>
         </div>
 
         <button class="refresh-btn" onclick="location.reload()"> Refresh Dashboard</button>
 
         <div class="footer">
-            <p>Minecraft Monitoring Service • Last updated: ${new Date().toLocaleTimeString()}</p>
+            <p>Minecraft Monitoring Service • Last updated: <span id="lastUpdated">${new Date().toLocaleTimeString()}</span></p>
+            <p><a href="/audit" style="color: white;">🛡️ Audit log</a> • <a href="/tokens" style="color: white;">🔑 API tokens</a> • <a href="/api/v1/docs" style="color: white;">📘 API docs</a></p>
+            <form method="POST" action="/logout" style="margin-top: 10px;">
+                <button type="submit" class="refresh-btn" style="margin: 0 auto; padding: 6px 18px; font-size: 0.9em;">🔒 Log out</button>
+            </form>
         </div>
     </div>
 
+    <script src="/socket.io/socket.io.js"></script>
     <script>
+        // Only used to poll chat while the live connection is down
         let autoRefreshInterval = null;
         let userHasScrolled = false;
         let lastScrollHeight = 0;
+        let liveLogs = [];
 
         // Detect if user has manually scrolled up
         document.addEventListener('DOMContentLoaded', () => {
@@ -598,41 +750,143 @@ class MinecraftDiscordBridge {
         });
 
         async function loadChatLogs() {
+            // Don't let the live view replace search results
+            if (activeSearch) return;
+
             try {
-                const response = await fetch('/chat-logs?limit=50');
+                const response = await fetch('/api/v1/chat-logs?limit=50');
                 const data = await response.json();
+                liveLogs = data.logs;
+                showLiveLogs();
+            } catch (error) {
+                console.error('Failed to load chat logs:', error);
+            }
+        }
 
-                const chatLogsDiv = document.getElementById('chatLogs');
+        function showLiveLogs() {
+            const chatLogsDiv = document.getElementById('chatLogs');
 
-                if (data.logs.length === 0) {
-                    chatLogsDiv.innerHTML = '<p style="text-align: center; color: #999;">No chat messages yet</p>';
+            if (liveLogs.length === 0) {
+                chatLogsDiv.innerHTML = '<p style="text-align: center; color: #999;">No chat messages yet</p>';
+                return;
+            }
+
+            renderChatLogs(liveLogs);
+
+            // Auto-scroll to bottom only if user hasn't manually scrolled up
+            if (!userHasScrolled || lastScrollHeight === 0) {
+                chatLogsDiv.scrollTop = chatLogsDiv.scrollHeight;
+            }
+            lastScrollHeight = chatLogsDiv.scrollHeight;
+        }
+
+        // Server messages are sent again each time their batch grows, under the same ID
+        function addLiveLog(entry) {
+            const index = liveLogs.findIndex(log => log.id === entry.id);
+            if (index === -1) {
+                liveLogs.unshift(entry);
+                liveLogs = liveLogs.slice(0, 50);
+            } else {
+                liveLogs[index] = entry;
+            }
+
+            if (!activeSearch && document.getElementById('autoRefresh').checked) {
+                showLiveLogs();
+            }
+        }
+
+        function renderChatLogs(logs) {
+            // Display messages in chronological order (oldest to newest)
+            document.getElementById('chatLogs').innerHTML = logs.slice().reverse().map(log => {
+                const messageColor = log.isServerMessage ? '#9B59B6' : '#667eea';
+                // Don't show sender name for server messages, just the message itself
+                const senderDisplay = log.isServerMessage ? '' : \`<div style="color: \${messageColor}; font-weight: 600;">\${escapeHtml(log.sender)}</div>\`;
+                return \`
+                    <div style="padding: 8px; margin: 5px 0; background: white; border-radius: 5px; border-left: 3px solid \${messageColor};">
+                        <div style="font-size: 0.85em; color: #666; margin-bottom: 3px;">\${log.displayTime}</div>
+                        \${senderDisplay}
+                        <div style="color: #333; margin-top: 3px;">\${escapeHtml(log.message)}</div>
+                    </div>
+                \`;
+            }).join('');
+        }
+
+        // ====================================================================
+        // CHAT SEARCH
+        // ====================================================================
+        let activeSearch = null;
+        let searchCursors = { before: null, after: null };
+
+        function searchChatLogs(event) {
+            event.preventDefault();
+
+            const params = new URLSearchParams({ limit: 50 });
+            const text = document.getElementById('searchText').value.trim();
+            if (text) {
+                params.set(document.getElementById('searchRegex').checked ? 'regex' : 'q', text);
+            }
+            const sender = document.getElementById('searchSender').value.trim();
+            if (sender) params.set('sender', sender);
+            const category = document.getElementById('searchCategory').value;
+            if (category) params.set('category', category);
+            const since = document.getElementById('searchSince').value;
+            if (since) params.set('since', new Date(since).toISOString());
+            const until = document.getElementById('searchUntil').value;
+            if (until) params.set('until', new Date(until).toISOString());
+
+            activeSearch = params;
+            loadSearchPage(null);
+        }
+
+        async function loadSearchPage(direction) {
+            if (!activeSearch) return;
+
+            const params = new URLSearchParams(activeSearch);
+            if (direction && searchCursors[direction]) {
+                params.set(direction, searchCursors[direction]);
+            }
+
+            const statusDiv = document.getElementById('searchStatus');
+            statusDiv.style.display = 'block';
+
+            try {
+                const response = await fetch('/api/v1/chat-logs?' + params.toString());
+                const data = await response.json();
+                if (!response.ok) {
+                    statusDiv.textContent = '❌ ' + data.error.message;
                     return;
                 }
 
-                // Display messages in chronological order (oldest to newest)
-                chatLogsDiv.innerHTML = data.logs.reverse().map(log => {
-                    const messageColor = log.isServerMessage ? '#9B59B6' : '#667eea';
-                    // Don't show sender name for server messages, just the message itself
-                    const senderDisplay = log.isServerMessage ? '' : \`<div style="color: \${messageColor}; font-weight: 600;">\${log.sender}</div>\`;
-                    return \`
-                        <div style="padding: 8px; margin: 5px 0; background: white; border-radius: 5px; border-left: 3px solid \${messageColor};">
-                            <div style="font-size: 0.85em; color: #666; margin-bottom: 3px;">\${log.displayTime}</div>
-                            \${senderDisplay}
-                            <div style="color: #333; margin-top: 3px;">\${escapeHtml(log.message)}</div>
-                        </div>
-                    \`;
-                }).join('');
+                searchCursors = { before: data.nextCursor, after: data.prevCursor };
+                statusDiv.textContent = data.logs.length === 0
+                    ? 'No messages match your search'
+                    : \`Showing \${data.logs.length} matching message\${data.logs.length === 1 ? '' : 's'} (live updates paused)\`;
 
-                // Auto-scroll to bottom only if user hasn't manually scrolled up
-                if (!userHasScrolled || lastScrollHeight === 0) {
-                    chatLogsDiv.scrollTop = chatLogsDiv.scrollHeight;
+                if (data.logs.length === 0) {
+                    document.getElementById('chatLogs').innerHTML = '';
+                } else {
+                    renderChatLogs(data.logs);
                 }
-                lastScrollHeight = chatLogsDiv.scrollHeight;
+
+                document.getElementById('searchPager').style.display = 'flex';
+                document.getElementById('olderButton').disabled = !data.nextCursor;
+                document.getElementById('newerButton').disabled = !data.prevCursor;
             } catch (error) {
-                console.error('Failed to load chat logs:', error);
+                statusDiv.textContent = '❌ Search failed';
+                console.error('Failed to search chat logs:', error);
             }
         }
 
+        function clearSearch() {
+            document.getElementById('chatSearch').reset();
+            document.getElementById('searchStatus').style.display = 'none';
+            document.getElementById('searchPager').style.display = 'none';
+            activeSearch = null;
+            searchCursors = { before: null, after: null };
+            lastScrollHeight = 0;
+            loadChatLogs();
+        }
+
         function escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
@@ -640,179 +894,1826 @@ class MinecraftDiscordBridge {
         }
 
         function downloadLogs() {
-            window.location.href = '/download-logs';
+            // Export whatever the current search matches, or everything when there's no search
+            const params = new URLSearchParams(activeSearch || {});
+            params.delete('limit');
+            params.set('format', document.getElementById('downloadFormat').value);
+            window.location.href = '/download-logs?' + params.toString();
         }
 
         function toggleAutoRefresh() {
-            const checkbox = document.getElementById('autoRefresh');
-            if (checkbox.checked) {
+            updatePolling();
+            if (document.getElementById('autoRefresh').checked && !activeSearch) {
+                showLiveLogs();
+            }
+        }
+
+        function updatePolling() {
+            const shouldPoll = !socket.connected && document.getElementById('autoRefresh').checked;
+            if (shouldPoll && !autoRefreshInterval) {
                 autoRefreshInterval = setInterval(loadChatLogs, 5000);
-            } else {
-                if (autoRefreshInterval) {
-                    clearInterval(autoRefreshInterval);
-                    autoRefreshInterval = null;
-                }
+            } else if (!shouldPoll && autoRefreshInterval) {
+                clearInterval(autoRefreshInterval);
+                autoRefreshInterval = null;
             }
         }
 
-        // Initial load
-        loadChatLogs();
+        // ====================================================================
+        // BOT CONTROLS
+        // ====================================================================
+        async function botAction(path, body) {
+            const resultDiv = document.getElementById('controlResult');
+            resultDiv.style.display = 'block';
+            resultDiv.textContent = '⏳ Working...';
+
+            try {
+                const response = await fetch(path, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body || {})
+                });
+                const data = await response.json();
+                // /api/v1 wraps errors in an envelope, the /bot routes don't
+                const error = data.error?.message || data.error;
+                resultDiv.textContent = response.ok ? '✅ ' + (data.sent ? 'Message sent' : data.message) : '❌ ' + error;
+                return response.ok;
+            } catch (error) {
+                resultDiv.textContent = '❌ Request failed';
+                console.error('Bot control request failed:', error);
+                return false;
+            }
+        }
 
-        // Start auto-refresh
-        autoRefreshInterval = setInterval(loadChatLogs, 5000);
+        async function sendChat(event) {
+            event.preventDefault();
 
-        // Keep the original 30-second full page refresh
-        setTimeout(() => location.reload(), 30000);
-    </script>
-</body>
-</html>
-            `);
-        });
+            const input = document.getElementById('chatInput');
+            const message = input.value.trim();
+            if (!message) return;
+
+            if (await botAction('/api/v1/message', { message })) {
+                input.value = '';
+            }
+        }
 
         // ====================================================================
-        // STATUS PAGE (JSON for API)
+        // LIVE UPDATES
         // ====================================================================
-        this.app.get('/status', (req, res) => {
-            const status = this.getStatus();
-            res.json(status);
+        const socket = io('/live');
+        let uptimeBase = { uptime: ${status.uptime}, at: Date.now() };
+        let reconnectProgress = null;
+
+        socket.on('connect', () => {
+            setLiveStatus(true);
+            updatePolling();
         });
 
-        // ====================================================================
-        // PLAYERS PAGE (JSON for API)
-        // ====================================================================
-        this.app.get('/players', (req, res) => {
-            const players = this.minecraftBot && this.minecraftBot.players
-                ? Array.from(this.minecraftBot.players)
-                : [];
-            res.json({
-                count: players.length,
-                players: players
-            });
+        socket.on('disconnect', (reason) => {
+            setLiveStatus(false);
+            updatePolling();
+            // The server hung up on purpose (logout, expired session or restart). Trying again
+            // either resumes or fails the login check, which sends us to the login page.
+            if (reason === 'io server disconnect') {
+                setTimeout(() => socket.connect(), 2000);
+            }
         });
 
-        this.app.post('/message', (req, res) => {
-            if (!this.minecraftBot || !this.minecraftBot.isConnected) {
-                return res.status(503).json({
-                    error: 'Bot not connected to Minecraft server'
-                });
+        socket.on('connect_error', (error) => {
+            if (error.message === 'Authentication required') {
+                window.location.href = '/login?next=/';
+                return;
             }
+            setLiveStatus(false);
+            updatePolling();
+        });
 
-            const { message } = req.body;
-            if (!message) {
-                return res.status(400).json({
-                    error: 'Message required'
-                });
+        socket.on('snapshot', (snapshot) => {
+            renderStatus(snapshot.status);
+            renderVitals(snapshot.vitals);
+            renderReconnect(snapshot.reconnect);
+            // Catch up on anything said while we weren't connected
+            loadChatLogs();
+        });
+
+        socket.on('status', renderStatus);
+        socket.on('vitals', renderVitals);
+        socket.on('reconnecting', renderReconnect);
+        socket.on('players', (update) => renderPlayers(update.players));
+        socket.on('chat', addLiveLog);
+
+        function setLiveStatus(live) {
+            document.getElementById('liveStatus').textContent = live
+                ? '● Live'
+                : '○ Live updates offline - retrying...';
+        }
+
+        function setIndicator(id, online) {
+            document.getElementById(id).className = 'status-indicator status-' + (online ? 'online' : 'offline');
+        }
+
+        function setBadge(id, ok, okText, badText) {
+            const badge = document.getElementById(id);
+            badge.className = 'badge ' + (ok ? 'badge-success' : 'badge-danger');
+            badge.textContent = ok ? okText : badText;
+        }
+
+        function renderStatus(status) {
+            setIndicator('botIndicator', status.bot.connected);
+            setBadge('botConnection', status.bot.connected, '✓ Online', '✗ Offline');
+            document.getElementById('botUsername').textContent = status.bot.username;
+            document.getElementById('botState').textContent = status.bot.state;
+            setIndicator('discordIndicator', status.discord.connected);
+            setBadge('discordConnection', status.discord.connected, '✓ Connected', '✗ Disconnected');
+            renderPlayers(status.players);
+
+            uptimeBase = { uptime: status.uptime, at: Date.now() };
+            renderUptime();
+
+            // Position and health only mean something while the bot is in the world
+            document.getElementById('positionCard').style.display = status.bot.connected ? 'block' : 'none';
+            document.getElementById('healthCard').style.display = status.bot.connected ? 'block' : 'none';
+            document.getElementById('dimensionRow').style.display = status.bot.connected ? 'flex' : 'none';
+            if (status.bot.state !== 'reconnecting') {
+                renderReconnect(null);
+            }
+            for (const button of document.querySelectorAll('.bot-action')) {
+                button.disabled = !status.bot.connected;
             }
 
-            try {
-                this.minecraftBot.sendChatMessage(message);
-                res.json({
-                    success: true,
-                    message: 'Message sent'
-                });
-            } catch (error) {
-                res.status(500).json({
-                    error: error.message
-                });
+            document.getElementById('lastUpdated').textContent = new Date().toLocaleTimeString();
+        }
+
+        function renderPlayers(players) {
+            document.getElementById('playerCount').textContent = players.length;
+            document.getElementById('playersList').innerHTML = players.length > 0 ? players.map(player => \`
+                <div class="player-item">
+                    <img class="player-avatar" src="https://mc-heads.net/avatar/\${encodeURIComponent(player)}/32" alt="\${escapeHtml(player)}">
+                    <span class="info-value">\${escapeHtml(player)}</span>
+                </div>
+            \`).join('') : '<p style="text-align: center; color: #999; padding: 20px;">No players online</p>';
+        }
+
+        function renderVitals(vitals) {
+            if (!vitals) return;
+
+            document.getElementById('healthValue').textContent = vitals.health + '/20';
+            const healthFill = document.getElementById('healthFill');
+            healthFill.style.width = (vitals.health / 20) * 100 + '%';
+            healthFill.textContent = vitals.health + ' HP';
+
+            document.getElementById('foodValue').textContent = vitals.food + '/20';
+            const foodFill = document.getElementById('foodFill');
+            foodFill.style.width = (vitals.food / 20) * 100 + '%';
+            foodFill.textContent = vitals.food;
+
+            document.getElementById('positionGrid').style.display = vitals.position ? 'grid' : 'none';
+            document.getElementById('positionUnavailable').style.display = vitals.position ? 'none' : 'block';
+            if (vitals.position) {
+                document.getElementById('positionX').textContent = vitals.position.x;
+                document.getElementById('positionY').textContent = vitals.position.y;
+                document.getElementById('positionZ').textContent = vitals.position.z;
             }
-        });
+            document.getElementById('positionDimension').textContent = vitals.dimension;
+            document.getElementById('serverDimension').textContent = vitals.dimension;
+        }
 
-        this.app.get('/health', (req, res) => {
-            const health = this.minecraftBot && this.minecraftBot.bot
-                ? {
-                    health: this.minecraftBot.bot.health,
-                    food: this.minecraftBot.bot.food,
-                    position: this.minecraftBot.bot.entity?.position
-                }
-                : null;
-            res.json({
-                status: 'healthy',
-                webServer: 'running',
-                health
-            });
-        });
+        function renderReconnect(progress) {
+            // Count down from when we heard about it rather than trusting the server's clock
+            reconnectProgress = progress ? { attempt: progress.attempt, retryAt: Date.now() + progress.delay } : null;
+            document.getElementById('reconnectRow').style.display = progress ? 'flex' : 'none';
+            renderReconnectCountdown();
+        }
+
+        function renderReconnectCountdown() {
+            if (!reconnectProgress) return;
+            const seconds = Math.max(0, Math.ceil((reconnectProgress.retryAt - Date.now()) / 1000));
+            document.getElementById('reconnectInfo').textContent = seconds > 0
+                ? \`Attempt #\${reconnectProgress.attempt} in \${seconds}s\`
+                : \`Attempt #\${reconnectProgress.attempt} in progress...\`;
+        }
+
+        function renderUptime() {
+            const uptime = uptimeBase.uptime + Math.floor((Date.now() - uptimeBase.at) / 1000);
+            document.getElementById('uptime').textContent =
+                \`\${Math.floor(uptime / 3600)}h \${Math.floor((uptime % 3600) / 60)}m \${uptime % 60}s\`;
+        }
 
         // ====================================================================
-        // CHAT LOGS ENDPOINT (JSON for real-time updates)
+        // POPULATION CHART
         // ====================================================================
-        this.app.get('/chat-logs', (req, res) => {
-            const limit = parseInt(req.query.limit) || 100;
-            const offset = parseInt(req.query.offset) || 0;
+        async function loadPopulation() {
+            const select = document.getElementById('populationRange');
+            localStorage.setItem('populationRange', select.value);
 
-            const logs = this.chatLogs.slice(-limit - offset, -offset || undefined).reverse();
+            try {
+                const response = await fetch('/population?range=' + select.value);
+                const data = await response.json();
+                renderPopulation(data);
+            } catch (error) {
+                console.error('Failed to load population history:', error);
+            }
+        }
 
-            res.json({
-                logs,
-                total: this.chatLogs.length,
-                serverStartTime: new Date(this.startTime).toISOString()
-            });
-        });
+        function renderPopulation(data) {
+            const svg = document.getElementById('populationChart');
+            const summary = document.getElementById('populationSummary');
+            const width = 800, height = 240, left = 40, right = 10, top = 10, bottom = 25;
+            const plotWidth = width - left - right, plotHeight = height - top - bottom;
 
-        // ====================================================================
-        // DOWNLOAD LOGS ENDPOINT
-        // ====================================================================
-        this.app.get('/download-logs', (req, res) => {
-            const logContent = this.chatLogs.map(log => {
-                // Don't include sender name for server messages, just the message
-                if (log.isServerMessage) {
-                    return `[${log.displayTime}] [SERVER] ${log.message}`;
-                } else {
-                    return `[${log.displayTime}] <${log.sender}> ${log.message}`;
+            if (data.points.length === 0) {
+                svg.innerHTML = \`<text x="400" y="120" text-anchor="middle" fill="#999">No population data yet</text>\`;
+                summary.textContent = '';
+                return;
+            }
+
+            const peak = Math.max(1, ...data.points.map(point => point.max));
+            const step = Math.max(1, Math.ceil(peak / 4));
+            const yMax = step * Math.ceil(peak / step);
+            const x = time => left + (time - data.start) / (data.end - data.start) * plotWidth;
+            const y = count => top + plotHeight - count / yMax * plotHeight;
+
+            let html = '';
+            for (let value = 0; value <= yMax; value += step) {
+                html += \`<line x1="\${left}" x2="\${width - right}" y1="\${y(value)}" y2="\${y(value)}" stroke="#e5e7eb"/>\`;
+                html += \`<text x="\${left - 6}" y="\${y(value) + 4}" text-anchor="end" font-size="11" fill="#666">\${value}</text>\`;
+            }
+            for (let i = 0; i <= 6; i++) {
+                const time = data.start + (data.end - data.start) * i / 6;
+                const date = new Date(time);
+                const label = data.range === 'day'
+                    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+                html += \`<text x="\${x(time)}" y="\${height - 6}" text-anchor="middle" font-size="11" fill="#666">\${label}</text>\`;
+            }
+
+            // Split into segments wherever the bot was offline
+            const segments = [];
+            let segment = [];
+            for (const point of data.points) {
+                if (segment.length > 0 && point.t - segment[segment.length - 1].t > data.bucketSize * 2.5) {
+                    segments.push(segment);
+                    segment = [];
                 }
-            }).join('\n');
+                segment.push(point);
+            }
+            segments.push(segment);
 
-            const filename = `minecraft-chat-${new Date().toISOString().replace(/:/g, '-')}.log`;
+            for (const points of segments) {
+                const band = points.map(p => \`\${x(p.t)},\${y(p.max)}\`).concat(points.slice().reverse().map(p => \`\${x(p.t)},\${y(p.min)}\`));
+                html += \`<polygon points="\${band.join(' ')}" fill="#667eea" fill-opacity="0.2"/>\`;
+                html += \`<polyline points="\${points.map(p => \`\${x(p.t)},\${y(p.avg)}\`).join(' ')}" fill="none" stroke="#667eea" stroke-width="2"/>\`;
+            }
 
-            res.setHeader('Content-Type', 'text/plain');
-            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-            res.send(logContent);
-        });
+            if (data.summary.peak) {
+                html += \`<circle cx="\${x(Math.max(data.summary.peak.t, data.start))}" cy="\${y(data.summary.peak.count)}" r="4" fill="#ef4444"><title>Peak: \${data.summary.peak.count}</title></circle>\`;
+            }
 
-        const PORT = process.env.PORT || 10000;
-        this.server = this.app.listen(PORT, '0.0.0.0', () => {
-            logger.info(`✓ Web server running on http://0.0.0.0:${PORT}`);
-            logger.info(`✓ Health check endpoint ready at http://0.0.0.0:${PORT}/health`);
-        });
-    }
+            svg.innerHTML = html;
+            summary.textContent = data.summary.peak
+                ? \`Peak \${data.summary.peak.count} • Average \${data.summary.average}\`
+                : '';
+        }
 
-    getStatus() {
-        const uptime = Math.floor((Date.now() - this.startTime) / 1000);
-        const status = {
-            server: {
-                host: config.minecraft.host,
-                port: config.minecraft.port,
-                version: config.minecraft.version
-            },
-            bot: {
-                connected: this.minecraftBot?.isConnected || false,
-                username: this.minecraftBot?.detectedUsername || config.minecraft.username,
-                state: this.minecraftBot?.connectionState || 'idle'
-            },
-            discord: {
-                enabled: config.discord.enabled,
-                connected: this.discordClient?.isConnected || false
-            },
-            uptime: uptime,
-            players: this.minecraftBot && this.minecraftBot.players
-                ? Array.from(this.minecraftBot.players)
-                : []
-        };
-        return status;
-    }
+        document.getElementById('populationRange').value = localStorage.getItem('populationRange') || 'day';
+        loadPopulation();
 
-    setupGracefulShutdown() {
-        const shutdown = async (signal) => {
-            if (this.isShuttingDown) return;
-            this.isShuttingDown = true;
+        // Initial load; the live connection keeps everything current after this
+        loadChatLogs();
 
-            logger.info(`Received ${signal}, shutting down gracefully...`);
+        setInterval(() => {
+            renderUptime();
+            renderReconnectCountdown();
+        }, 1000);
+    </script>
+</body>
+</html>
+            `);
+        });
 
-            try {
+        // ====================================================================
+        // AUDIT LOG PAGE
+        // ====================================================================
+        this.app.get('/audit', this.requireSession(), (req, res) => {
+            const actions = this.auditLog.getActions();
+            const results = this.auditLog.getResults();
+
+            res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Audit Log - Minecraft Monitoring Service</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+            color: #333;
+        }
+
+        .container { max-width: 1200px; margin: 0 auto; }
+        .header { text-align: center; color: white; margin-bottom: 30px; }
+        .header h1 { font-size: 2.5em; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); }
+        .header a { color: white; }
+
+        .card {
+            background: white;
+            border-radius: 15px;
+            padding: 25px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+        }
+
+        form { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 15px; align-items: flex-end; }
+        label { display: flex; flex-direction: column; font-size: 0.85em; color: #666; gap: 4px; }
+        input, select { padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 0.95em; }
+
+        table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        th { text-align: left; color: #667eea; border-bottom: 2px solid #f0f0f0; padding: 8px; }
+        td { padding: 8px; border-bottom: 1px solid #f0f0f0; vertical-align: top; }
+        code { background: #f8f9fa; padding: 2px 6px; border-radius: 4px; word-break: break-word; }
+
+        .badge { display: inline-block; padding: 3px 10px; border-radius: 20px; font-size: 0.85em; font-weight: 600; }
+        .badge-success { background: #d1fae5; color: #065f46; }
+        .badge-denied { background: #fef3c7; color: #92400e; }
+        .badge-failed { background: #fee2e2; color: #991b1b; }
+
+        .refresh-btn {
+            background: white;
+            color: #667eea;
+            border: 2px solid #667eea;
+            padding: 8px 20px;
+            border-radius: 25px;
+            font-size: 1em;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .refresh-btn:hover { background: #667eea; color: white; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🛡️ Audit Log</h1>
+            <p>Control actions taken through Discord and the web • <a href="/">Back to dashboard</a></p>
+        </div>
+
+        <div class="card">
+            <form id="auditFilters" onsubmit="event.preventDefault(); loadAudit(true);">
+                <label>Actor <input type="text" id="auditActor" placeholder="name or ID"></label>
+                <label>Source
+                    <select id="auditSource">
+                        <option value="">Any</option>
+                        <option value="discord-command">Discord command</option>
+                        <option value="discord-button">Discord button</option>
+                        <option value="web">Web</option>
+                    </select>
+                </label>
+                <label>Action
+                    <select id="auditAction">
+                        <option value="">Any</option>
+                        ${actions.map(action => `<option value="${chatExport.escapeHtml(action)}">${chatExport.escapeHtml(action)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Result
+                    <select id="auditResult">
+                        <option value="">Any</option>
+                        ${results.map(result => `<option value="${result}">${result}</option>`).join('')}
+                    </select>
+                </label>
+                <button type="submit" class="refresh-btn">🔍 Filter</button>
+            </form>
+
+            <table>
+                <thead>
+                    <tr><th>Time</th><th>Actor</th><th>Source</th><th>Action</th><th>Arguments</th><th>Result</th></tr>
+                </thead>
+                <tbody id="auditEntries">
+                    <tr><td colspan="6" style="text-align: center; color: #999;">Loading audit log...</td></tr>
+                </tbody>
+            </table>
+            <button class="refresh-btn" id="auditMore" onclick="loadAudit(false)" style="display: none; margin: 15px auto 0;">⬇ Older</button>
+        </div>
+    </div>
+
+    <script>
+        let nextCursor = null;
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        async function loadAudit(reset) {
+            const params = new URLSearchParams({ limit: '50' });
+            for (const [param, id] of [['actor', 'auditActor'], ['source', 'auditSource'], ['action', 'auditAction'], ['result', 'auditResult']]) {
+                const value = document.getElementById(id).value.trim();
+                if (value) params.set(param, value);
+            }
+            if (!reset && nextCursor) params.set('before', nextCursor);
+
+            const tbody = document.getElementById('auditEntries');
+            try {
+                const response = await fetch('/audit-log?' + params.toString());
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Request failed');
+
+                const rows = data.entries.map(entry => {
+                    const args = Object.entries(entry.args || {}).map(([key, value]) => key + '=' + value).join(' ');
+                    return '<tr>' +
+                        '<td>' + escapeHtml(new Date(entry.time).toLocaleString()) + '</td>' +
+                        '<td>' + escapeHtml(entry.actor.name) + '</td>' +
+                        '<td>' + escapeHtml(entry.source) + '</td>' +
+                        '<td><code>' + escapeHtml(entry.action) + '</code></td>' +
+                        '<td>' + (args ? '<code>' + escapeHtml(args) + '</code>' : '') + '</td>' +
+                        '<td><span class="badge badge-' + escapeHtml(entry.result) + '">' + escapeHtml(entry.result) + '</span>' +
+                            (entry.detail ? '<div style="color: #666; font-size: 0.85em; margin-top: 4px;">' + escapeHtml(entry.detail) + '</div>' : '') + '</td>' +
+                        '</tr>';
+                }).join('');
+
+                if (reset) {
+                    tbody.innerHTML = rows || '<tr><td colspan="6" style="text-align: center; color: #999;">No matching audit log entries</td></tr>';
+                } else {
+                    tbody.insertAdjacentHTML('beforeend', rows);
+                }
+
+                nextCursor = data.nextCursor;
+                document.getElementById('auditMore').style.display = nextCursor ? 'block' : 'none';
+            } catch (error) {
+                tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #ef4444;">Failed to load audit log: ' + escapeHtml(error.message) + '</td></tr>';
+            }
+        }
+
+        loadAudit(true);
+    </script>
+</body>
+</html>
+            `);
+        });
+
+        // ====================================================================
+        // AUDIT LOG (JSON for API)
+        // ====================================================================
+        this.app.get('/audit-log', this.requireScope('audit:read'), (req, res) => {
+            const { actor, source, action, result } = req.query;
+            if (result && !this.auditLog.getResults().includes(result)) {
+                return res.status(400).json({
+                    error: `result must be one of: ${this.auditLog.getResults().join(', ')}`
+                });
+            }
+
+            const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+            if (before !== null && isNaN(before)) {
+                return res.status(400).json({
+                    error: 'before must be an entry ID'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 25, 200);
+            res.json(this.auditLog.query({ before, limit, actor, source, action, result }));
+        });
+
+        // ====================================================================
+        // API TOKENS PAGE
+        // ====================================================================
+        this.app.get('/tokens', this.requireSession(), (req, res) => {
+            const scopes = this.apiTokens.getScopes();
+
+            res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Tokens - Minecraft Monitoring Service</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+            color: #333;
+        }
+
+        .container { max-width: 1200px; margin: 0 auto; }
+        .header { text-align: center; color: white; margin-bottom: 30px; }
+        .header h1 { font-size: 2.5em; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); }
+        .header a { color: white; }
+
+        .card {
+            background: white;
+            border-radius: 15px;
+            padding: 25px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            margin-bottom: 20px;
+        }
+
+        .card-title { font-size: 1.3em; font-weight: 600; margin-bottom: 15px; color: #667eea; }
+        label { display: flex; align-items: center; gap: 8px; margin: 6px 0; }
+        input[type="text"] { padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 0.95em; width: 100%; max-width: 300px; }
+        .scope-description { color: #666; font-size: 0.85em; }
+
+        table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        th { text-align: left; color: #667eea; border-bottom: 2px solid #f0f0f0; padding: 8px; }
+        td { padding: 8px; border-bottom: 1px solid #f0f0f0; vertical-align: top; }
+        code { background: #f8f9fa; padding: 2px 6px; border-radius: 4px; word-break: break-all; }
+
+        .new-token { display: none; background: #d1fae5; color: #065f46; padding: 15px; border-radius: 10px; margin-top: 15px; }
+        .error { color: #ef4444; margin-top: 10px; }
+
+        .refresh-btn {
+            background: white;
+            color: #667eea;
+            border: 2px solid #667eea;
+            padding: 8px 20px;
+            border-radius: 25px;
+            font-size: 1em;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .refresh-btn:hover { background: #667eea; color: white; }
+        .revoke-btn { border-color: #ef4444; color: #ef4444; padding: 4px 14px; font-size: 0.85em; }
+        .revoke-btn:hover { background: #ef4444; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔑 API Tokens</h1>
+            <p>Send as <code style="background: rgba(255,255,255,0.2);">Authorization: Bearer &lt;token&gt;</code> • <a href="/api/v1/docs">API docs</a> • <a href="/">Back to dashboard</a></p>
+        </div>
+
+        <div class="card">
+            <div class="card-title">Create Token</div>
+            <form id="createToken" onsubmit="event.preventDefault(); createToken();">
+                <label>Name <input type="text" id="tokenName" maxlength="50" placeholder="e.g. status-bot" required></label>
+                ${scopes.map(scope => `<label><input type="checkbox" name="scope" value="${scope.name}"> <code>${scope.name}</code> <span class="scope-description">${chatExport.escapeHtml(scope.description)}</span></label>`).join('')}
+                <button type="submit" class="refresh-btn" style="margin-top: 10px;">➕ Create</button>
+            </form>
+            <div id="createError" class="error"></div>
+            <div id="newToken" class="new-token">
+                Copy this token now - it won't be shown again:<br>
+                <code id="newTokenValue" style="display: inline-block; margin-top: 8px;"></code>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="card-title">Active Tokens</div>
+            <table>
+                <thead>
+                    <tr><th>Name</th><th>ID</th><th>Scopes</th><th>Created</th><th>Last Used</th><th></th></tr>
+                </thead>
+                <tbody id="tokenList">
+                    <tr><td colspan="6" style="text-align: center; color: #999;">Loading tokens...</td></tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+
+    <script>
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        async function loadTokens() {
+            const tbody = document.getElementById('tokenList');
+            try {
+                const response = await fetch('/api-tokens');
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Request failed');
+
+                tbody.innerHTML = data.tokens.map(token => '<tr>' +
+                    '<td>' + escapeHtml(token.name) + '<div class="scope-description">by ' + escapeHtml(token.createdBy.name) + '</div></td>' +
+                    '<td><code>' + escapeHtml(token.id) + '</code></td>' +
+                    '<td>' + token.scopes.map(scope => '<code>' + escapeHtml(scope) + '</code>').join(' ') + '</td>' +
+                    '<td>' + escapeHtml(new Date(token.createdAt).toLocaleString()) + '</td>' +
+                    '<td>' + (token.lastUsedAt ? escapeHtml(new Date(token.lastUsedAt).toLocaleString()) : 'Never') + '</td>' +
+                    '<td><button class="refresh-btn revoke-btn" data-id="' + escapeHtml(token.id) + '" onclick="revokeToken(this.dataset.id)">Revoke</button></td>' +
+                    '</tr>').join('') || '<tr><td colspan="6" style="text-align: center; color: #999;">No API tokens yet</td></tr>';
+            } catch (error) {
+                tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #ef4444;">Failed to load tokens: ' + escapeHtml(error.message) + '</td></tr>';
+            }
+        }
+
+        async function createToken() {
+            const errorDiv = document.getElementById('createError');
+            errorDiv.textContent = '';
+            const scopes = Array.from(document.querySelectorAll('input[name="scope"]:checked')).map(input => input.value);
+
+            try {
+                const response = await fetch('/api-tokens', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: document.getElementById('tokenName').value, scopes })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Request failed');
+
+                document.getElementById('newTokenValue').textContent = data.token;
+                document.getElementById('newToken').style.display = 'block';
+                document.getElementById('createToken').reset();
+                loadTokens();
+            } catch (error) {
+                errorDiv.textContent = error.message;
+            }
+        }
+
+        async function revokeToken(id) {
+            if (!confirm('Revoke this token? Anything using it will stop working.')) return;
+            const response = await fetch('/api-tokens/' + encodeURIComponent(id), { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                alert('Failed to revoke token: ' + (data.error || response.status));
+            }
+            loadTokens();
+        }
+
+        loadTokens();
+    </script>
+</body>
+</html>
+            `);
+        });
+
+        // ====================================================================
+        // API TOKENS (JSON, dashboard session only)
+        // ====================================================================
+        this.app.get('/api-tokens', this.requireSession(), (req, res) => {
+            res.json({
+                tokens: this.apiTokens.list(),
+                scopes: this.apiTokens.getScopes()
+            });
+        });
+
+        this.app.post('/api-tokens', this.requireSession(), (req, res) => {
+            const { name, scopes: requested } = req.body ?? {};
+            const scopes = Array.isArray(requested) ? requested : String(requested || '').split(',').map(scope => scope.trim()).filter(Boolean);
+
+            try {
+                const { token, record } = this.apiTokens.create(name, scopes, this.getWebActor(req));
+                this.recordWebAudit(req, 'token-create', { id: record.id, name: record.name, scopes: record.scopes.join(',') }, 'success');
+                res.status(201).json({
+                    token,
+                    ...record
+                });
+            } catch (error) {
+                res.status(400).json({
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.delete('/api-tokens/:id', this.requireSession(), (req, res) => {
+            const record = this.apiTokens.revoke(req.params.id);
+            if (!record) {
+                return res.status(404).json({
+                    error: 'No API token with that ID'
+                });
+            }
+
+            this.recordWebAudit(req, 'token-revoke', { id: record.id, name: record.name }, 'success');
+            res.json({
+                revoked: record
+            });
+        });
+
+        // ====================================================================
+        // STATUS PAGE (JSON for API)
+        // ====================================================================
+        this.app.get('/status', this.deprecatedAlias('/api/v1/status'), this.requireScope('status:read'), (req, res) => {
+            const status = this.getStatus();
+            res.json(status);
+        });
+
+        // ====================================================================
+        // PROMETHEUS METRICS
+        // ====================================================================
+        this.app.get('/metrics', this.requireScope('status:read'), (req, res) => {
+            res.set('Content-Type', metrics.getContentType());
+            res.send(metrics.render());
+        });
+
+        // ====================================================================
+        // PLAYERS PAGE (JSON for API)
+        // ====================================================================
+        this.app.get('/players', this.deprecatedAlias('/api/v1/players'), this.requireScope('status:read'), (req, res) => {
+            const players = this.minecraftBot && this.minecraftBot.players
+                ? Array.from(this.minecraftBot.players)
+                : [];
+            res.json({
+                count: players.length,
+                players: players
+            });
+        });
+
+        // ====================================================================
+        // PLAYER SESSIONS (JSON for API)
+        // ====================================================================
+        this.app.get('/players/:name/sessions', this.requireScope('status:read'), (req, res) => {
+            const sessions = this.minecraftBot?.sessions;
+            if (!sessions) {
+                return res.status(503).json({
+                    error: 'Session tracking not available'
+                });
+            }
+
+            const player = sessions.findPlayer(req.params.name);
+            if (!player) {
+                return res.status(404).json({
+                    error: 'No sessions recorded for that player'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const playtime = {};
+            for (const period of sessions.getPeriods()) {
+                playtime[period] = sessions.getPlaytime(player.name, period).playtime;
+            }
+
+            res.json({
+                ...sessions.getSeen(player.name),
+                playtime,
+                sessions: sessions.getPlayerSessions(player).slice(-limit).reverse()
+            });
+        });
+
+        this.app.get('/leaderboard/playtime', this.requireScope('status:read'), (req, res) => {
+            const sessions = this.minecraftBot?.sessions;
+            if (!sessions) {
+                return res.status(503).json({
+                    error: 'Session tracking not available'
+                });
+            }
+
+            const period = req.query.period || 'all';
+            if (!sessions.isValidPeriod(period)) {
+                return res.status(400).json({
+                    error: `period must be one of: ${sessions.getPeriods().join(', ')}`
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+            res.json({
+                period,
+                players: sessions.getLeaderboard(period, limit),
+                botOffline: sessions.getBotOfflineTime(sessions.getPeriodStart(period))
+            });
+        });
+
+        // ====================================================================
+        // PLAYER STATS (JSON for API)
+        // ====================================================================
+        this.app.get('/players/:name/deaths', this.requireScope('status:read'), (req, res) => {
+            const stats = this.minecraftBot?.playerStats;
+            if (!stats) {
+                return res.status(503).json({
+                    error: 'Player stats not available'
+                });
+            }
+
+            const player = stats.get(req.params.name);
+            if (!player) {
+                return res.status(404).json({
+                    error: 'No stats recorded for that player'
+                });
+            }
+
+            res.json({
+                name: player.name,
+                deaths: player.deaths,
+                kills: player.kills,
+                causes: stats.getTopCounts(player.causes, Infinity),
+                killers: stats.getTopCounts(player.killers, Infinity),
+                weapons: stats.getTopCounts(player.weapons, Infinity),
+                lastDeath: player.lastDeath
+            });
+        });
+
+        this.app.get('/players/:name/advancements', this.requireScope('status:read'), (req, res) => {
+            const stats = this.minecraftBot?.playerStats;
+            if (!stats) {
+                return res.status(503).json({
+                    error: 'Player stats not available'
+                });
+            }
+
+            const player = stats.get(req.params.name);
+            if (!player) {
+                return res.status(404).json({
+                    error: 'No stats recorded for that player'
+                });
+            }
+
+            res.json({
+                name: player.name,
+                count: player.advancements.length,
+                advancements: player.advancements.slice().reverse()
+            });
+        });
+
+        this.app.get('/leaderboard/deaths', this.requireScope('status:read'), (req, res) => {
+            const stats = this.minecraftBot?.playerStats;
+            if (!stats) {
+                return res.status(503).json({
+                    error: 'Player stats not available'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+            res.json({
+                players: stats.getLeaderboard('deaths', limit)
+            });
+        });
+
+        // ====================================================================
+        // POPULATION HISTORY (JSON for API)
+        // ====================================================================
+        this.app.get('/population', this.requireScope('status:read'), (req, res) => {
+            const population = this.minecraftBot?.population;
+            if (!population) {
+                return res.status(503).json({
+                    error: 'Population history not available'
+                });
+            }
+
+            const range = req.query.range || 'day';
+            if (!population.isValidRange(range)) {
+                return res.status(400).json({
+                    error: `range must be one of: ${population.getRanges().join(', ')}`
+                });
+            }
+
+            res.json({
+                ...population.getSeries(range),
+                summary: population.getSummary(range)
+            });
+        });
+
+        this.app.post('/message', this.deprecatedAlias('/api/v1/message'), this.requireScope('chat:send'), async (req, res) => {
+            // Express 5 leaves req.body undefined when the request has no body
+            const { message } = req.body ?? {};
+
+            if (typeof message !== 'string' || !message.trim()) {
+                return res.status(400).json({
+                    error: 'Message required'
+                });
+            }
+
+            if (!this.minecraftBot || !this.minecraftBot.isConnected) {
+                this.recordWebAudit(req, 'message', { content: message }, 'failed', 'Bot not connected');
+                return res.status(503).json({
+                    error: 'Bot not connected to Minecraft server'
+                });
+            }
+
+            try {
+                await this.minecraftBot.sendChatMessage(message);
+                this.recordWebAudit(req, 'message', { content: message }, 'success');
+                res.json({
+                    success: true,
+                    message: 'Message sent'
+                });
+            } catch (error) {
+                this.recordWebAudit(req, 'message', { content: message }, 'failed', error.message);
+                res.status(500).json({
+                    error: error.message
+                });
+            }
+        });
+
+        // ====================================================================
+        // BOT CONTROL (same actions as the Discord buttons and commands)
+        // ====================================================================
+        this.app.post('/bot/connect', this.requireScope('bot:control'), (req, res) => {
+            this.runBotAction(req, res, 'connect', {}, { requireConnection: false }, async () => {
+                if (this.minecraftBot.isConnected) {
+                    throw Object.assign(new Error('Bot is already connected'), { status: 409 });
+                }
+                logger.info(`${this.getWebActor(req).name} requested bot connection via web`);
+                this.minecraftBot.shouldReconnect = true;
+                this.minecraftBot.resumeReconnect();
+                if (this.discordClient) {
+                    await this.discordClient.sendStatusEmbed('🔄 Connecting...', 'Connection requested via web dashboard', 0xFFAA00);
+                }
+                return 'Attempting to connect';
+            });
+        });
+
+        this.app.post('/bot/disconnect', this.requireScope('bot:control'), (req, res) => {
+            this.runBotAction(req, res, 'disconnect', {}, { requireConnection: false }, async () => {
+                logger.info(`${this.getWebActor(req).name} requested bot shutdown via web`);
+                this.minecraftBot.shouldReconnect = false;
+                if (this.minecraftBot.isConnected) {
+                    await this.minecraftBot.disconnect();
+                }
+                if (this.discordClient) {
+                    await this.discordClient.sendStatusEmbed('⛔ Shutdown', 'Bot manually stopped via web dashboard', 0xE74C3C);
+                }
+                return 'Bot has been stopped';
+            });
+        });
+
+        this.app.post('/bot/walk', this.requireScope('bot:control'), (req, res) => {
+            const blocks = Number(req.body?.blocks);
+            if (!Number.isInteger(blocks) || blocks < 1 || blocks > 100) {
+                return res.status(400).json({
+                    error: 'blocks must be a whole number from 1 to 100'
+                });
+            }
+
+            this.runBotAction(req, res, 'walk', { blocks }, {}, async () => {
+                await this.minecraftBot.walkForward(blocks);
+                return `Bot is walking ${blocks} blocks forward`;
+            });
+        });
+
+        this.app.post('/bot/jump', this.requireScope('bot:control'), (req, res) => {
+            const times = req.body?.times === undefined ? 1 : Number(req.body.times);
+            if (!Number.isInteger(times) || times < 1 || times > 5) {
+                return res.status(400).json({
+                    error: 'times must be a whole number from 1 to 5'
+                });
+            }
+
+            this.runBotAction(req, res, 'jump', { times }, {}, async () => {
+                await this.minecraftBot.performJump(times);
+                return `Bot jumped ${times} time${times > 1 ? 's' : ''}`;
+            });
+        });
+
+        this.app.post('/bot/look', this.requireScope('bot:control'), (req, res) => {
+            const direction = String(req.body?.direction || '').toLowerCase();
+            if (!LOOK_DIRECTIONS.includes(direction)) {
+                return res.status(400).json({
+                    error: `direction must be one of: ${LOOK_DIRECTIONS.join(', ')}`
+                });
+            }
+
+            this.runBotAction(req, res, 'look', { direction }, {}, async () => {
+                await this.minecraftBot.lookDirection(direction);
+                return `Bot is looking ${direction}`;
+            });
+        });
+
+        this.app.post('/bot/stop', this.requireScope('bot:control'), (req, res) => {
+            this.runBotAction(req, res, 'stop', {}, {}, async () => {
+                await this.minecraftBot.stopAllActions();
+                return 'All bot actions stopped';
+            });
+        });
+
+        // ====================================================================
+        // CHAT LOGS ENDPOINT (JSON for real-time updates)
+        // ====================================================================
+        this.app.get('/chat-logs', this.deprecatedAlias('/api/v1/chat-logs'), this.requireScope('chat:read'), async (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+            // Offset paging is kept for existing callers; everything else goes through search
+            if (req.query.offset !== undefined) {
+                const offset = parseInt(req.query.offset) || 0;
+                return res.json({
+                    logs: this.chatHistory.getRecent(limit, offset),
+                    total: this.chatHistory.getCount(),
+                    serverStartTime: new Date(this.startTime).toISOString()
+                });
+            }
+
+            let filters;
+            try {
+                filters = this.parseChatLogFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            const result = await this.chatHistory.search({ ...filters, limit });
+            res.json({
+                ...result,
+                total: this.chatHistory.getCount(),
+                serverStartTime: new Date(this.startTime).toISOString()
+            });
+        });
+
+        // ====================================================================
+        // DOWNLOAD LOGS ENDPOINT
+        // ====================================================================
+        this.app.get('/download-logs', this.requireScope('chat:read'), async (req, res) => {
+            const format = String(req.query.format || 'text').toLowerCase();
+            if (!chatExport.isSupported(format)) {
+                return res.status(400).json({
+                    error: `format must be one of: ${chatExport.getFormats().join(', ')}`
+                });
+            }
+
+            let filters;
+            try {
+                filters = this.parseChatLogFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            res.setHeader('Content-Type', chatExport.getContentType(format));
+            res.setHeader('Content-Disposition', `attachment; filename="${chatExport.getFilename(format)}"`);
+
+            // Stream entry by entry - the full history can be much larger than what we keep in memory
+            const classifier = this.discordClient?.classifier || null;
+            let count = 0;
+            try {
+                res.write(chatExport.getHeader(format, { description: this.describeChatLogFilters(filters) }));
+                for await (const log of this.chatHistory.iterate(filters)) {
+                    if (res.destroyed) return;
+                    if (!res.write(chatExport.formatEntry(format, log, count++, { classifier }))) {
+                        await this.waitForDrain(res);
+                    }
+                }
+                res.end(chatExport.getFooter(format, count));
+            } catch (error) {
+                logger.error('Failed to export chat logs:', error.message);
+                res.destroy(error);
+            }
+        });
+
+        const PORT = process.env.PORT || 10000;
+        this.server = this.app.listen(PORT, '0.0.0.0', () => {
+            logger.info(`✓ Web server running on http://0.0.0.0:${PORT}`);
+            logger.info(`✓ Health check endpoint ready at http://0.0.0.0:${PORT}/health`);
+            logger.info(`✓ Probes ready at http://0.0.0.0:${PORT}/livez and /readyz`);
+        });
+
+        this.realtime = new Realtime(this.server, this.sessionMiddleware, {
+            getSnapshot: () => this.getLiveSnapshot()
+        });
+    }
+
+    // ========================================================================
+    // METRICS
+    // ========================================================================
+
+    // Gauges for the current state, read at scrape time. Counters for things that
+    // happen (relays, retries, commands, reconnects) live in the modules that do them.
+    setupMetrics() {
+        const gauges = {
+            state: metrics.gauge('atommc_bot_connection_state', 'Minecraft connection state, 1 for the current one', ['state']),
+            connected: metrics.gauge('atommc_bot_connected', 'Whether the bot is in the Minecraft world'),
+            reconnectAttempt: metrics.gauge('atommc_bot_reconnect_attempt', 'Reconnect attempts since the last successful connection'),
+            sinceSpawn: metrics.gauge('atommc_bot_seconds_since_spawn', 'Seconds since the bot last spawned'),
+            players: metrics.gauge('atommc_players_online', 'Players online, not counting the bot'),
+            health: metrics.gauge('atommc_bot_health', 'Bot health, 0-20'),
+            food: metrics.gauge('atommc_bot_food', 'Bot food level, 0-20'),
+            discordConnected: metrics.gauge('atommc_discord_connected', 'Whether the Discord client is connected'),
+            discordQueue: metrics.gauge('atommc_discord_queue_depth', 'Messages waiting in the Discord send queue'),
+            uptime: metrics.gauge('atommc_uptime_seconds', 'Seconds since the bridge started')
+        };
+
+        metrics.addCollector(() => {
+            const bot = this.minecraftBot;
+            const inWorld = Boolean(bot?.isConnected && bot.bot);
+
+            for (const state of CONNECTION_STATES) {
+                gauges.state.set({ state }, (bot?.connectionState || 'idle') === state ? 1 : 0);
+            }
+            gauges.connected.set({}, inWorld ? 1 : 0);
+            gauges.reconnectAttempt.set({}, bot?.reconnectAttempts || 0);
+            gauges.players.set({}, inWorld ? bot.getPlayerCount() : 0);
+            gauges.discordConnected.set({}, this.discordClient?.isConnected ? 1 : 0);
+            gauges.discordQueue.set({}, this.discordClient?.messageQueue.length || 0);
+            gauges.uptime.set({}, Math.floor((Date.now() - this.startTime) / 1000));
+
+            // Left out when unknown so a missing bot doesn't look like a dead one
+            if (bot?.connectionStartTime) {
+                gauges.sinceSpawn.set({}, Math.floor((Date.now() - bot.connectionStartTime) / 1000));
+            } else {
+                gauges.sinceSpawn.reset();
+            }
+            if (inWorld) {
+                gauges.health.set({}, bot.bot.health || 0);
+                gauges.food.set({}, bot.bot.food || 0);
+            } else {
+                gauges.health.reset();
+                gauges.food.reset();
+            }
+        });
+    }
+
+    // ========================================================================
+    // API V1
+    // ========================================================================
+
+    // Versioned JSON API described by openapi.js. The unversioned routes in
+    // setupWebServer stay as deprecated aliases.
+    setupApiV1() {
+        const api = '/api/v1';
+
+        this.app.get(`${api}/openapi.json`, (req, res) => {
+            res.json(openApi.getDocument());
+        });
+
+        this.app.get(`${api}/docs`, (req, res) => {
+            res.send(this.renderApiDocs());
+        });
+
+        this.app.get(`${api}/status`, this.requireScope('status:read'), (req, res) => {
+            res.json(this.getStatus());
+        });
+
+        this.app.get(`${api}/players`, this.requireScope('status:read'), (req, res) => {
+            const players = this.minecraftBot ? Array.from(this.minecraftBot.players) : [];
+            res.json({
+                count: players.length,
+                players
+            });
+        });
+
+        this.app.get(`${api}/chat-logs`, this.requireScope('chat:read'), this.validateRequest('getChatLogs'), async (req, res) => {
+            const { limit, ...query } = req.valid.query;
+
+            let filters;
+            try {
+                filters = this.parseChatLogFilters(query);
+            } catch (error) {
+                return this.sendError(req, res, 400, error.message);
+            }
+
+            res.json({
+                ...(await this.chatHistory.search({ ...filters, limit })),
+                total: this.chatHistory.getCount()
+            });
+        });
+
+        this.app.post(`${api}/message`, this.requireScope('chat:send'), this.validateRequest('sendMessage'), async (req, res) => {
+            const { message } = req.valid.body;
+
+            if (!this.minecraftBot || !this.minecraftBot.isConnected) {
+                this.recordWebAudit(req, 'message', { content: message }, 'failed', 'Bot not connected');
+                return this.sendError(req, res, 503, 'Bot not connected to Minecraft server');
+            }
+
+            try {
+                await this.minecraftBot.sendChatMessage(message);
+                this.recordWebAudit(req, 'message', { content: message }, 'success');
+                res.json({
+                    sent: true,
+                    message
+                });
+            } catch (error) {
+                this.recordWebAudit(req, 'message', { content: message }, 'failed', error.message);
+                this.sendError(req, res, 500, error.message);
+            }
+        });
+
+        // Unknown endpoints and failures (including bodies that aren't valid JSON) still get the envelope
+        this.app.use('/api', (req, res) => {
+            this.sendError(req, res, 404, `No such endpoint: ${req.method} ${req.originalUrl.split('?')[0]}`);
+        });
+
+        this.app.use('/api', (error, req, res, next) => {
+            if (error.type === 'entity.parse.failed') {
+                return this.sendError(req, res, 400, 'Request body is not valid JSON');
+            }
+
+            const status = error.status || error.statusCode || 500;
+            if (status >= 500) {
+                logger.error(`API request ${req.method} ${req.originalUrl} failed:`, error);
+            }
+            this.sendError(req, res, status, status >= 500 ? 'Internal server error' : error.message);
+        });
+    }
+
+    renderApiDocs() {
+        const escape = (text) => chatExport.escapeHtml(String(text ?? ''));
+        const spec = openApi.getDocument();
+
+        const renderSchema = (schema) => {
+            const parts = [schema.type + (schema.format ? ` (${schema.format})` : '')];
+            if (schema.enum) parts.push(`one of ${schema.enum.join(', ')}`);
+            if (schema.minimum !== undefined) parts.push(`min ${schema.minimum}`);
+            if (schema.maximum !== undefined) parts.push(`max ${schema.maximum}`);
+            if (schema.maxLength !== undefined) parts.push(`up to ${schema.maxLength} chars`);
+            if (schema.default !== undefined) parts.push(`default ${schema.default}`);
+            return escape(parts.join(', '));
+        };
+
+        const operations = openApi.getOperations().map(operation => {
+            const parameters = (operation.parameters || []).map(parameter => `
+                <tr><td><code>${escape(parameter.name)}</code></td><td>${escape(parameter.in)}</td><td>${renderSchema(parameter.schema)}</td><td>${escape(parameter.description)}</td></tr>`);
+
+            const bodySchema = operation.requestBody?.content['application/json'].schema;
+            const bodyFields = bodySchema ? Object.entries(bodySchema.properties).map(([name, schema]) => `
+                <tr><td><code>${escape(name)}</code>${(bodySchema.required || []).includes(name) ? ' *' : ''}</td><td>body</td><td>${renderSchema(schema)}</td><td>${escape(schema.description)}</td></tr>`) : [];
+
+            const responses = Object.entries(operation.responses).map(([status, response]) =>
+                `<code>${escape(status)}</code> ${escape(response.description || response.$ref.split('/').pop())}`);
+
+            return `
+        <div class="card">
+            <div class="card-title"><span class="method method-${escape(operation.method)}">${escape(operation.method.toUpperCase())}</span> <code>/api/v1${escape(operation.route)}</code></div>
+            <p><strong>${escape(operation.summary)}</strong>${operation['x-required-scope'] ? ` • scope <code>${escape(operation['x-required-scope'])}</code>` : ' • no login needed'}</p>
+            ${operation.description ? `<p class="description">${escape(operation.description)}</p>` : ''}
+            ${parameters.length + bodyFields.length > 0 ? `
+            <table>
+                <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+                <tbody>${parameters.join('')}${bodyFields.join('')}</tbody>
+            </table>` : ''}
+            <p class="responses">${responses.join(' • ')}</p>
+        </div>`;
+        }).join('');
+
+        return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Docs - Minecraft Monitoring Service</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+            color: #333;
+        }
+
+        .container { max-width: 1200px; margin: 0 auto; }
+        .header { text-align: center; color: white; margin-bottom: 30px; }
+        .header h1 { font-size: 2.5em; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); }
+        .header p { max-width: 800px; margin: 5px auto; }
+        .header a { color: white; }
+
+        .card {
+            background: white;
+            border-radius: 15px;
+            padding: 25px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            margin-bottom: 20px;
+        }
+
+        .card-title { font-size: 1.3em; font-weight: 600; margin-bottom: 10px; color: #667eea; }
+        .card p { margin: 6px 0; }
+        .description, .responses { color: #666; font-size: 0.9em; }
+
+        .method { display: inline-block; padding: 3px 10px; border-radius: 6px; color: white; font-size: 0.8em; }
+        .method-get { background: #10b981; }
+        .method-post { background: #667eea; }
+
+        table { width: 100%; border-collapse: collapse; font-size: 0.9em; margin: 10px 0; }
+        th { text-align: left; color: #667eea; border-bottom: 2px solid #f0f0f0; padding: 8px; }
+        td { padding: 8px; border-bottom: 1px solid #f0f0f0; vertical-align: top; }
+        code { background: #f8f9fa; padding: 2px 6px; border-radius: 4px; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>📘 ${escape(spec.info.title)} v${escape(spec.info.version)}</h1>
+            <p>${escape(spec.info.description)}</p>
+            <p>Errors look like <code style="background: rgba(255,255,255,0.2);">{ "error": { "code", "message", "details" } }</code></p>
+            <p><a href="/api/v1/openapi.json">OpenAPI document</a> • <a href="/tokens">API tokens</a> • <a href="/">Back to dashboard</a></p>
+        </div>
+${operations}
+    </div>
+</body>
+</html>
+        `;
+    }
+
+    // ========================================================================
+    // AUTHENTICATION
+    // ========================================================================
+
+    setupAuthentication() {
+        if (config.web.password === 'defaultpass') {
+            logger.warn('WEB_PASSWORD is not set - the dashboard is using the default password');
+        }
+
+        // Kept so the Socket.IO handshake can read the same session
+        this.sessionMiddleware = session({
+            name: 'atommc.sid',
+            secret: config.web.sessionSecret || crypto.randomBytes(32).toString('hex'),
+            resave: false,
+            saveUninitialized: false,
+            // Fixed lifetime from login - the dashboard polls constantly, so a rolling expiry would never end
+            rolling: false,
+            cookie: {
+                httpOnly: true,
+                // Lax keeps other sites from posting to /message with our cookie
+                sameSite: 'lax',
+                // Secure whenever the request came over HTTPS, which behind a proxy is only
+                // known from X-Forwarded-Proto when TRUST_PROXY is set
+                secure: 'auto',
+                maxAge: config.web.authTimeout
+            }
+        });
+        this.app.use(this.sessionMiddleware);
+
+        // Works out who is calling - a dashboard session or an API token - without turning anyone away yet
+        this.app.use((req, res, next) => {
+            req.auth = null;
+            if (req.session.authenticated) {
+                req.auth = { type: 'session' };
+                return next();
+            }
+
+            const header = req.get('authorization');
+            if (header) {
+                const match = header.match(/^Bearer\s+(\S+)$/i);
+                const token = match ? this.apiTokens.verify(match[1]) : null;
+                if (token) {
+                    req.auth = { type: 'token', token };
+                } else {
+                    req.authError = 'Invalid API token';
+                }
+            }
+            next();
+        });
+
+        // ====================================================================
+        // HEALTH CHECK (open for the hosting platform)
+        // ====================================================================
+        this.app.get('/health', this.deprecatedAlias('/api/v1/health'), (req, res) => {
+            res.json(this.getHealth(req));
+        });
+
+        this.app.get('/api/v1/health', (req, res) => {
+            res.json(this.getHealth(req));
+        });
+
+        this.app.get('/livez', (req, res) => {
+            this.sendProbe(req, res, this.getLiveness());
+        });
+
+        this.app.get('/readyz', (req, res) => {
+            this.sendProbe(req, res, this.getReadiness());
+        });
+
+        // ====================================================================
+        // LOGIN
+        // ====================================================================
+        this.app.get('/login', (req, res) => {
+            if (req.session.authenticated) {
+                return res.redirect(this.getSafeRedirect(req.query.next));
+            }
+            res.send(this.renderLoginPage({ next: req.query.next }));
+        });
+
+        this.app.post('/login', (req, res) => {
+            const next = this.getSafeRedirect(req.body?.next);
+            const retryAfter = this.loginLimiter.getRetryAfter(req.ip);
+            if (retryAfter > 0) {
+                const minutes = Math.ceil(retryAfter / 60000);
+                res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+                return res.status(429).send(this.renderLoginPage({
+                    next,
+                    error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+                }));
+            }
+
+            if (!this.checkPassword(req.body?.password)) {
+                const remaining = this.loginLimiter.recordFailure(req.ip);
+                logger.warn(`Failed dashboard login from ${req.ip} (${remaining} attempt${remaining === 1 ? '' : 's'} left)`);
+                this.recordWebAudit(req, 'login', {}, 'denied', 'Wrong password');
+                return res.status(401).send(this.renderLoginPage({ next, error: 'Wrong password.' }));
+            }
+
+            this.loginLimiter.reset(req.ip);
+            // New session ID on login so a planted cookie can't be promoted
+            req.session.regenerate((error) => {
+                if (error) {
+                    logger.error('Failed to create dashboard session:', error);
+                    return res.status(500).send(this.renderLoginPage({ next, error: 'Could not start a session. Please try again.' }));
+                }
+
+                req.session.authenticated = true;
+                req.session.loginAt = new Date().toISOString();
+                this.recordWebAudit(req, 'login', {}, 'success');
+                logger.info(`Dashboard login from ${req.ip}`);
+                res.redirect(next);
+            });
+        });
+
+        this.app.post('/logout', (req, res) => {
+            if (req.session.authenticated) {
+                this.recordWebAudit(req, 'logout', {}, 'success');
+            }
+            if (this.realtime) {
+                this.realtime.disconnectSession(req.sessionID);
+            }
+            req.session.destroy(() => {
+                res.clearCookie('atommc.sid');
+                res.redirect('/login');
+            });
+        });
+
+        // Everything registered after this needs a logged-in session or an API token
+        this.app.use((req, res, next) => {
+            if (req.auth) return next();
+
+            if (!req.authError && req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+                return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            this.sendError(req, res, 401, req.authError || 'Authentication required');
+        });
+    }
+
+    // Dashboard sessions can do everything; tokens only what their scopes allow
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (req.auth?.type === 'session' || (req.auth?.type === 'token' && this.apiTokens.hasScope(req.auth.token, scope))) {
+                return next();
+            }
+            this.sendError(req, res, 403, `This API token does not have the ${scope} scope`);
+        };
+    }
+
+    // Pages and token management are never available to tokens
+    requireSession() {
+        return (req, res, next) => {
+            if (req.auth?.type === 'session') return next();
+            this.sendError(req, res, 403, 'This endpoint needs a dashboard login');
+        };
+    }
+
+    // /api/v1 errors use the { error: { code, message, details } } envelope; the
+    // older routes keep their plain { error: message } shape for existing callers
+    sendError(req, res, status, message, details = null) {
+        if (!req.originalUrl.startsWith('/api/')) {
+            return res.status(status).json({ error: message });
+        }
+
+        const error = { code: openApi.getErrorCode(status), message };
+        if (details) error.details = details;
+        res.status(status).json({ error });
+    }
+
+    // Marks a pre-/api/v1 route as deprecated and points callers at its replacement
+    deprecatedAlias(successor) {
+        return (req, res, next) => {
+            res.setHeader('Deprecation', 'true');
+            res.setHeader('Link', `<${successor}>; rel="successor-version"`);
+
+            const route = `${req.method} ${req.path}`;
+            if (!this.deprecatedRoutesUsed.has(route)) {
+                this.deprecatedRoutesUsed.add(route);
+                logger.warn(`Deprecated route ${route} was called - use ${successor} instead`);
+            }
+            next();
+        };
+    }
+
+    // Checks the request against the OpenAPI operation and leaves the parsed values in req.valid
+    validateRequest(operationId) {
+        return (req, res, next) => {
+            const result = openApi.validate(operationId, req);
+            if (result.errors) {
+                const summary = result.errors.map(error => `${error.name || error.in} ${error.message}`).join('; ');
+                return this.sendError(req, res, 400, `Invalid request: ${summary}`, result.errors);
+            }
+            req.valid = result;
+            next();
+        };
+    }
+
+    getHealth(req) {
+        const response = {
+            status: HEALTH_STATUSES[this.getReadiness().status],
+            webServer: 'running'
+        };
+
+        // Bot vitals are only for logged-in users and tokens that may read status
+        if (this.canReadStatus(req)) {
+            response.health = this.minecraftBot && this.minecraftBot.bot
+                ? {
+                    health: this.minecraftBot.bot.health,
+                    food: this.minecraftBot.bot.food,
+                    position: this.minecraftBot.bot.entity?.position
+                }
+                : null;
+        }
+
+        return response;
+    }
+
+    // ========================================================================
+    // PROBES
+    // ========================================================================
+
+    // Each check is { status: 'pass' | 'warn' | 'fail', message, ...details }. A probe
+    // fails if any check fails; warnings still answer 200.
+    runProbe(checks) {
+        const statuses = Object.values(checks).map(check => check.status);
+        const status = statuses.includes('fail') ? 'fail' : statuses.includes('warn') ? 'warn' : 'pass';
+        return { status, checks, checkedAt: new Date().toISOString() };
+    }
+
+    // The probes are open, so anonymous callers only get the overall status
+    sendProbe(req, res, probe) {
+        res.set('Cache-Control', 'no-store');
+        res.status(probe.status === 'fail' ? 503 : 200).json(this.canReadStatus(req) ? probe : { status: probe.status });
+    }
+
+    canReadStatus(req) {
+        return Boolean(req.auth && (req.auth.type === 'session' || this.apiTokens.hasScope(req.auth.token, 'status:read')));
+    }
+
+    // Only what a restart would fix. Minecraft and Discord outages belong in /readyz,
+    // otherwise the platform restarts a bridge that is already reconnecting.
+    getLiveness() {
+        return this.runProbe({
+            webServer: this.checkWebServer(),
+            eventLoop: this.checkEventLoop()
+        });
+    }
+
+    getReadiness() {
+        return this.runProbe({
+            webServer: this.checkWebServer(),
+            discord: this.checkDiscord(),
+            minecraft: this.checkMinecraft(),
+            auth: this.checkAuth(),
+            messageQueue: this.checkMessageQueue()
+        });
+    }
+
+    checkWebServer() {
+        if (this.isShuttingDown) return { status: 'fail', message: 'Shutting down' };
+        if (!this.server?.listening) return { status: 'fail', message: 'Not listening' };
+        return { status: 'pass', message: 'Listening' };
+    }
+
+    // One slow request only warns; the loop has to stay slow for several windows in a
+    // row before the platform is told to restart the bridge
+    checkEventLoop() {
+        const delay = this.lastEventLoopDelay;
+        const limit = config.health.eventLoopDelay;
+        const slow = this.slowEventLoopWindows;
+        const status = slow >= config.health.eventLoopWindows ? 'fail' : slow > 0 ? 'warn' : 'pass';
+        return {
+            status,
+            message: `Longest delay ${delay}ms in the last ${EVENT_LOOP_WINDOW / 1000}s (limit ${limit}ms, ${slow} slow window${slow === 1 ? '' : 's'} in a row)`,
+            delayMs: delay,
+            slowWindows: slow
+        };
+    }
+
+    checkDiscord() {
+        if (!config.discord.enabled) return { status: 'pass', message: 'Discord is disabled' };
+
+        const discord = this.discordClient;
+        if (discord?.webhook) return { status: 'pass', message: 'Sending through a webhook' };
+        if (discord?.isConnected) {
+            return { status: 'pass', message: 'Gateway connected', pingMs: discord.client?.ws.ping ?? null };
+        }
+        return this.checkOutage('Discord gateway', discord?.disconnectedAt || this.startTime, config.health.discordGrace);
+    }
+
+    checkMinecraft() {
+        const bot = this.minecraftBot;
+        const state = bot?.connectionState || 'idle';
+        if (bot?.isConnected) return { status: 'pass', message: 'In the world', state };
+        // Stopped from Discord or the dashboard, so there is nothing to wait for
+        if (bot && !bot.shouldReconnect) return { status: 'warn', message: 'Stopped manually', state };
+        return {
+            ...this.checkOutage('Minecraft connection', bot?.disconnectedAt || this.startTime, config.health.minecraftGrace),
+            state
+        };
+    }
+
+    // Signing in needs a person, so this only warns; the minecraft check fails once it drags on
+    checkAuth() {
+        const bot = this.minecraftBot;
+        if (bot?.connectionState === 'authenticating' || (this.authSent && !bot?.isConnected)) {
+            return { status: 'warn', message: 'Waiting for Microsoft sign-in' };
+        }
+        return { status: 'pass', message: 'No sign-in pending' };
+    }
+
+    checkMessageQueue() {
+        const depths = {
+            discord: this.discordClient?.messageQueue.length || 0,
+            minecraftChat: this.minecraftBot?.chatQueue.getStats().depth || 0
+        };
+        const backlog = Math.max(depths.discord, depths.minecraftChat);
+        const { queueWarn, queueFail } = config.health;
+        return {
+            status: backlog >= queueFail ? 'fail' : backlog >= queueWarn ? 'warn' : 'pass',
+            message: `${depths.discord} queued for Discord, ${depths.minecraftChat} for in-game chat (warn at ${queueWarn}, fail at ${queueFail})`,
+            depths
+        };
+    }
+
+    // Warns while a connection has been down for less than its grace period, then fails.
+    // Before the first connection the outage is counted from startup.
+    checkOutage(name, since, grace) {
+        const downFor = Date.now() - since;
+        return {
+            status: downFor < grace ? 'warn' : 'fail',
+            message: `${name} down for ${Math.round(downFor / 1000)}s (fails after ${Math.round(grace / 1000)}s)`,
+            downSince: new Date(since).toISOString()
+        };
+    }
+
+    checkPassword(password) {
+        if (typeof password !== 'string') return false;
+        // Hash both sides so the comparison takes the same time whatever the length
+        const given = crypto.createHash('sha256').update(password).digest();
+        const expected = crypto.createHash('sha256').update(config.web.password).digest();
+        return crypto.timingSafeEqual(given, expected);
+    }
+
+    // Only same-site paths, so ?next= can't send people elsewhere
+    getSafeRedirect(next) {
+        return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')
+            ? next
+            : '/';
+    }
+
+    renderLoginPage({ next = '/', error = null } = {}) {
+        return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Log in - Minecraft Monitoring Service</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            color: #333;
+        }
+
+        .card {
+            background: white;
+            border-radius: 15px;
+            padding: 30px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 360px;
+        }
+
+        h1 { font-size: 1.5em; color: #667eea; margin-bottom: 20px; text-align: center; }
+        input { width: 100%; padding: 12px; border: 1px solid #ddd; border-radius: 8px; font-size: 1em; margin-bottom: 15px; }
+        .error { background: #fee2e2; color: #991b1b; padding: 10px; border-radius: 8px; margin-bottom: 15px; font-size: 0.9em; }
+
+        button {
+            width: 100%;
+            background: #667eea;
+            color: white;
+            border: none;
+            padding: 12px;
+            border-radius: 25px;
+            font-size: 1em;
+            font-weight: 600;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <form class="card" method="POST" action="/login">
+        <h1>🔒 Minecraft Monitoring</h1>
+        ${error ? `<div class="error">${chatExport.escapeHtml(error)}</div>` : ''}
+        <input type="hidden" name="next" value="${chatExport.escapeHtml(this.getSafeRedirect(next))}">
+        <input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>
+        <button type="submit">Log in</button>
+    </form>
+</body>
+</html>
+        `;
+    }
+
+    parseChatLogFilters(query) {
+        const filters = {};
+
+        if (query.q) filters.q = String(query.q);
+        if (query.sender) filters.sender = String(query.sender);
+
+        if (query.category) {
+            if (!['server', 'player'].includes(query.category)) {
+                throw new Error('category must be "server" or "player"');
+            }
+            filters.category = query.category;
+        }
+
+        for (const key of ['since', 'until']) {
+            if (!query[key]) continue;
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`${key} must be a valid date`);
+            }
+            filters[key] = date;
+        }
+
+        if (query.regex) {
+            if (String(query.regex).length > 200) {
+                throw new Error('regex must be at most 200 characters');
+            }
+            // Runs over the whole history, so patterns that can backtrack catastrophically are refused
+            filters.regex = safeRegex.compile(String(query.regex), 'i');
+        }
+
+        for (const key of ['before', 'after']) {
+            if (query[key] === undefined) continue;
+            const cursor = parseInt(query[key]);
+            if (!(cursor > 0)) {
+                throw new Error(`${key} must be a cursor from a previous response`);
+            }
+            filters[key] = cursor;
+        }
+
+        return filters;
+    }
+
+    describeChatLogFilters(filters) {
+        const parts = [];
+        if (filters.sender) parts.push(`player ${filters.sender}`);
+        if (filters.category) parts.push(`${filters.category} messages`);
+        if (filters.q) parts.push(`containing "${filters.q}"`);
+        if (filters.regex) parts.push(`matching ${filters.regex}`);
+        if (filters.since) parts.push(`from ${filters.since.toISOString()}`);
+        if (filters.until) parts.push(`until ${filters.until.toISOString()}`);
+        return parts.join(', ');
+    }
+
+    waitForDrain(res) {
+        return new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+
+    getStatus() {
+        const uptime = Math.floor((Date.now() - this.startTime) / 1000);
+        const status = {
+            server: {
+                host: config.minecraft.host,
+                port: config.minecraft.port,
+                version: config.minecraft.version
+            },
+            bot: {
+                connected: this.minecraftBot?.isConnected || false,
+                username: this.minecraftBot?.detectedUsername || config.minecraft.username,
+                state: this.minecraftBot?.connectionState || 'idle',
+                chatQueue: this.minecraftBot?.chatQueue.getStats() || null
+            },
+            discord: {
+                enabled: config.discord.enabled,
+                connected: this.discordClient?.isConnected || false
+            },
+            uptime: uptime,
+            players: this.minecraftBot && this.minecraftBot.players
+                ? Array.from(this.minecraftBot.players)
+                : []
+        };
+        return status;
+    }
+
+    setupGracefulShutdown() {
+        const shutdown = async (signal) => {
+            if (this.isShuttingDown) return;
+            this.isShuttingDown = true;
+
+            logger.info(`Received ${signal}, shutting down gracefully...`);
+
+            try {
+                clearInterval(this.eventLoopInterval);
+                if (this.realtime) {
+                    this.realtime.close();
+                }
                 if (this.server) {
                     this.server.close();
                 }
+                this.chatHistory.flush();
                 if (this.minecraftBot) {
                     await this.minecraftBot.disconnect();
+                    this.minecraftBot.sessions.flush();
                 }
                 if (this.discordClient) {
                     await this.discordClient.disconnect();
@@ -850,7 +2751,6 @@ class MinecraftDiscordBridge {
             }
 
             logger.error('Uncaught exception:', error);
-            logger.error('Stack:', error?.stack);
         });
 
         process.on('unhandledRejection', (reason, promise) => {
@@ -865,7 +2765,6 @@ class MinecraftDiscordBridge {
             }
 
             logger.error('Unhandled rejection:', reason);
-            logger.error('Stack:', reason?.stack);
         });
     }
 }
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const safeRegex = require('../safe-regex');
+
+test('rejects several wide repeats over the same characters', () => {
+    for (const pattern of ['.*.*.*.*.*x$', '.*.*.*x$', '.*,.*x', '\\w+.*$', '\\d+\\w+', '(\\w+)(.*)', '.{0,100}.{0,100}x']) {
+        assert.strictEqual(safeRegex.isSafe(pattern, 'i'), false, pattern);
+    }
+});
+
+test('rejects nested repeats, repeated alternatives and backreferences', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)*', '(\\w+\\s?)*$', '(.*a){12}', '(a)\\1', '(?<n>a)\\k<n>']) {
+        assert.strictEqual(safeRegex.isSafe(pattern, 'i'), false, pattern);
+    }
+});
+
+test('accepts repeats that something in between keeps apart', () => {
+    for (const pattern of ['^\\[(\\w+)\\] (.+)$', '\\w+\\s+\\w+', '(\\w+): (.*)', '[^\\]]+\\] .+', 'a+b+', '\\w+ joined|\\w+ left']) {
+        assert.strictEqual(safeRegex.isSafe(pattern, 'i'), true, pattern);
+    }
+});
+
+test('accepts ordinary alert patterns', () => {
+    for (const pattern of ['joined the game', 'diamonds?', 'diamond.*found', '(?:foo|bar)?', '[(+)]+', '(?<=x)a+', '\\bVIP\\b']) {
+        assert.strictEqual(safeRegex.isSafe(pattern, 'i'), true, pattern);
+    }
+});
+
+test('compile throws a readable error for unsafe and invalid patterns', () => {
+    assert.throws(() => safeRegex.compile('.*.*.*x$', 'i'), /too expensive to run/);
+    assert.throws(() => safeRegex.compile('[', 'i'), /^SyntaxError: Invalid regular expression/);
+    assert.ok(safeRegex.compile('joined', 'i').test('Steve JOINED the game'));
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger').child({ module: 'whisper-inbox' });
+
+// ============================================================================
+// WHISPER INBOX CLASS
+// ============================================================================
+
+class WhisperInbox {
+    constructor() {
+        this.conversations = {};
+        this.threadIndex = new Map();
+
+        this.instanceId = config.discord.instanceId;
+        this.inboxFile = path.join('./cache', `whisper-inbox-${this.instanceId}.json`);
+
+        this.load();
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    load() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            if (fs.existsSync(this.inboxFile)) {
+                const data = fs.readFileSync(this.inboxFile, 'utf8');
+                this.conversations = JSON.parse(data).conversations || {};
+                this.rebuildThreadIndex();
+                logger.info(`Loaded ${Object.keys(this.conversations).length} whisper conversations from file`);
+            }
+        } catch (error) {
+            logger.error('Failed to load whisper inbox:', error.message);
+            this.conversations = {};
+        }
+    }
+
+    save() {
+        try {
+            if (!fs.existsSync('./cache')) {
+                fs.mkdirSync('./cache', { recursive: true });
+            }
+
+            const data = {
+                conversations: this.conversations,
+                lastUpdated: new Date().toISOString()
+            };
+
+            fs.writeFileSync(this.inboxFile, JSON.stringify(data, null, 2), 'utf8');
+            logger.debug('Saved whisper inbox to file');
+        } catch (error) {
+            logger.error('Failed to save whisper inbox:', error.message);
+        }
+    }
+
+    rebuildThreadIndex() {
+        this.threadIndex.clear();
+        for (const conversation of Object.values(this.conversations)) {
+            if (conversation.threadId) {
+                this.threadIndex.set(conversation.threadId, conversation.player);
+            }
+        }
+    }
+
+    // ========================================================================
+    // CONVERSATIONS
+    // ========================================================================
+
+    get(player) {
+        return this.conversations[player.toLowerCase()] || null;
+    }
+
+    getPlayerByThread(threadId) {
+        return this.threadIndex.get(threadId) || null;
+    }
+
+    setThread(player, threadId) {
+        const conversation = this.getOrCreate(player);
+        if (conversation.threadId) {
+            this.threadIndex.delete(conversation.threadId);
+        }
+
+        conversation.threadId = threadId;
+        this.threadIndex.set(threadId, conversation.player);
+        this.save();
+    }
+
+    record(player, direction, author, message) {
+        const conversation = this.getOrCreate(player);
+        conversation.history.push({
+            direction,
+            author,
+            message,
+            timestamp: new Date().toISOString()
+        });
+
+        const historyLimit = config.discord.whispers.historyLimit;
+        if (conversation.history.length > historyLimit) {
+            conversation.history.splice(0, conversation.history.length - historyLimit);
+        }
+
+        this.save();
+        return conversation;
+    }
+
+    getOrCreate(player) {
+        const key = player.toLowerCase();
+        if (!this.conversations[key]) {
+            this.conversations[key] = {
+                player,
+                threadId: null,
+                history: []
+            };
+        }
+
+        // Keep the most recent capitalisation the server reported
+        const conversation = this.conversations[key];
+        conversation.player = player;
+        if (conversation.threadId) {
+            this.threadIndex.set(conversation.threadId, player);
+        }
+        return conversation;
+    }
+}
+
+module.exports = WhisperInbox;